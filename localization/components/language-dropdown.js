@@ -0,0 +1,593 @@
+/**
+ * 🌐 Language Dropdown Component
+ * Dropdown variant of the language toggle for sites with more than two
+ * active languages: filterable list, LANGUAGE_GROUPS headings, native names
+ * and flags (UI_SETTINGS.dropdown), listbox keyboard support and RTL layout
+ */
+
+import { getLanguageInfo, getActiveLanguages, getLanguageStatus, LANGUAGE_GROUPS } from '../config/supported-languages.js';
+import { UI_SETTINGS } from '../config/settings.js';
+import LanguageToggle from './language-toggle.js';
+
+// Switcher labels live in the shared namespace; the engine translates them in place
+const LABEL_KEYS = {
+  label: 'common.languageSwitcher.label',
+  searchPlaceholder: 'common.languageSwitcher.searchPlaceholder',
+  noResults: 'common.languageSwitcher.noResults',
+  beta: 'common.languageSwitcher.beta',
+  groups: {
+    primary: 'common.languageSwitcher.groups.primary',
+    european: 'common.languageSwitcher.groups.european',
+    asian: 'common.languageSwitcher.groups.asian',
+    other: 'common.languageSwitcher.groups.other'
+  }
+};
+
+// English text shown until the catalog is applied
+const DEFAULT_LABELS = {
+  label: 'Language',
+  searchPlaceholder: 'Search languages',
+  noResults: 'No languages found',
+  beta: 'Beta',
+  groups: {
+    primary: 'Main languages',
+    european: 'European languages',
+    asian: 'Asian languages',
+    other: 'Other languages'
+  }
+};
+
+let instanceCount = 0;
+
+class LanguageDropdown extends LanguageToggle {
+  constructor(options = {}) {
+    super(options);
+    
+    this.dropdownOptions = {
+      ...UI_SETTINGS.dropdown,
+      ...options.dropdown
+    };
+    
+    this.id = `language-dropdown-${++instanceCount}`;
+    this.isOpen = false;
+    this.query = '';
+    this.activeLanguage = null;
+    
+    // Bind methods
+    this.handleDocumentClick = this.handleDocumentClick.bind(this);
+    this.handleKeydown = this.handleKeydown.bind(this);
+  }
+
+  /**
+   * The dropdown replaces the slider when style 'dropdown' is selected
+   * and more than two languages are active
+   */
+  static isPreferred(options = {}, languages = getActiveLanguages()) {
+    const style = options.style || UI_SETTINGS.toggle.style;
+    return style === 'dropdown' && languages.length > 2;
+  }
+
+  /**
+   * Render the trigger button and the (closed) list panel
+   */
+  render() {
+    const container = document.createElement('div');
+    container.className = 'language-toggle-container';
+    
+    const dropdown = document.createElement('div');
+    dropdown.className = 'language-dropdown';
+    
+    // Trigger: current language, opens the list
+    const trigger = document.createElement('button');
+    trigger.type = 'button';
+    trigger.className = 'dropdown-trigger';
+    trigger.id = `${this.id}-trigger`;
+    trigger.setAttribute('aria-haspopup', 'listbox');
+    trigger.setAttribute('aria-expanded', 'false');
+    trigger.setAttribute('aria-controls', `${this.id}-panel`);
+    trigger.setAttribute('data-current-lang', this.currentLanguage);
+    trigger.appendChild(this.createLanguageLabel(this.currentLanguage, 'dropdown-current'));
+    
+    const caret = document.createElement('span');
+    caret.className = 'dropdown-caret';
+    caret.setAttribute('aria-hidden', 'true');
+    trigger.appendChild(caret);
+    
+    // Panel: optional search field above the grouped list
+    const panel = document.createElement('div');
+    panel.className = 'dropdown-panel';
+    panel.id = `${this.id}-panel`;
+    panel.hidden = true;
+    
+    if (this.dropdownOptions.searchEnabled) {
+      const search = document.createElement('input');
+      search.type = 'search';
+      search.className = 'dropdown-search';
+      search.setAttribute('dir', 'auto');
+      search.setAttribute('autocomplete', 'off');
+      search.setAttribute('spellcheck', 'false');
+      search.setAttribute('role', 'combobox');
+      search.setAttribute('aria-autocomplete', 'list');
+      search.setAttribute('aria-expanded', 'true');
+      search.setAttribute('aria-controls', `${this.id}-list`);
+      search.setAttribute('placeholder', DEFAULT_LABELS.searchPlaceholder);
+      search.setAttribute('data-i18n-placeholder', LABEL_KEYS.searchPlaceholder);
+      search.setAttribute('aria-label', DEFAULT_LABELS.searchPlaceholder);
+      search.setAttribute('data-i18n-attr', `aria-label:${LABEL_KEYS.searchPlaceholder}`);
+      panel.appendChild(search);
+    }
+    
+    const list = document.createElement('ul');
+    list.className = 'dropdown-list';
+    list.id = `${this.id}-list`;
+    list.tabIndex = -1;
+    list.setAttribute('role', 'listbox');
+    list.setAttribute('aria-label', DEFAULT_LABELS.label);
+    list.setAttribute('data-i18n-attr', `aria-label:${LABEL_KEYS.label}`);
+    if (this.dropdownOptions.maxHeight) {
+      list.style.maxHeight = `${this.dropdownOptions.maxHeight}px`;
+    }
+    list.style.overflowY = this.dropdownOptions.scrollEnabled ? 'auto' : 'visible';
+    this.getGroups().forEach(group => list.appendChild(this.renderGroup(group)));
+    panel.appendChild(list);
+    
+    const empty = document.createElement('p');
+    empty.className = 'dropdown-empty';
+    empty.hidden = true;
+    empty.textContent = DEFAULT_LABELS.noResults;
+    empty.setAttribute('data-i18n', LABEL_KEYS.noResults);
+    empty.setAttribute('role', 'status');
+    panel.appendChild(empty);
+    
+    dropdown.appendChild(trigger);
+    dropdown.appendChild(panel);
+    container.appendChild(dropdown);
+    
+    return container;
+  }
+
+  /**
+   * Active languages by LANGUAGE_GROUPS, in group order; languages outside
+   * every group go to 'other'. One unnamed group when grouping is off
+   */
+  getGroups() {
+    if (!this.dropdownOptions.groupingEnabled) {
+      return [{ name: null, languages: [...this.languages] }];
+    }
+    
+    const grouped = new Set();
+    const groups = Object.entries(LANGUAGE_GROUPS).map(([name, codes]) => {
+      const languages = this.languages.filter(code => codes.includes(code) && !grouped.has(code));
+      languages.forEach(code => grouped.add(code));
+      return { name, languages };
+    });
+    
+    const ungrouped = this.languages.filter(code => !grouped.has(code));
+    if (ungrouped.length > 0) {
+      const other = groups.find(group => group.name === 'other');
+      if (other) {
+        other.languages.push(...ungrouped);
+      } else {
+        groups.push({ name: 'other', languages: ungrouped });
+      }
+    }
+    
+    const filled = groups.filter(group => group.languages.length > 0);
+    // A single heading adds nothing
+    return filled.length > 1 ? filled : [{ name: null, languages: [...this.languages] }];
+  }
+
+  /**
+   * Render a group: heading plus its options
+   */
+  renderGroup({ name, languages }) {
+    const item = document.createElement('li');
+    item.className = 'dropdown-group';
+    item.setAttribute('role', 'presentation');
+    
+    const options = document.createElement('ul');
+    options.className = 'dropdown-options';
+    
+    if (name) {
+      const heading = document.createElement('div');
+      heading.className = 'dropdown-group-heading';
+      heading.id = `${this.id}-group-${name}`;
+      heading.setAttribute('role', 'presentation');
+      heading.textContent = DEFAULT_LABELS.groups[name] || name;
+      if (LABEL_KEYS.groups[name]) {
+        heading.setAttribute('data-i18n', LABEL_KEYS.groups[name]);
+      }
+      item.appendChild(heading);
+      
+      options.setAttribute('role', 'group');
+      options.setAttribute('aria-labelledby', heading.id);
+    } else {
+      options.setAttribute('role', 'presentation');
+    }
+    
+    languages.forEach(code => options.appendChild(this.renderOption(code)));
+    item.appendChild(options);
+    
+    return item;
+  }
+
+  /**
+   * Render one option in its own language and direction
+   */
+  renderOption(languageCode) {
+    const languageInfo = getLanguageInfo(languageCode);
+    
+    const option = document.createElement('li');
+    option.className = 'dropdown-option';
+    option.id = `${this.id}-option-${languageCode}`;
+    option.setAttribute('role', 'option');
+    option.setAttribute('data-lang', languageCode);
+    option.setAttribute('aria-selected', String(languageCode === this.currentLanguage));
+    option.appendChild(this.createLanguageLabel(languageCode, 'dropdown-option-label'));
+    
+    // English name as a hint when the list shows native names
+    if (this.dropdownOptions.showNativeNames && languageInfo.name !== languageInfo.native) {
+      const hint = document.createElement('span');
+      hint.className = 'dropdown-option-hint';
+      hint.setAttribute('lang', 'en');
+      hint.setAttribute('dir', 'ltr');
+      hint.textContent = languageInfo.name;
+      option.appendChild(hint);
+    }
+    
+    if (getLanguageStatus(languageCode) === 'beta') {
+      const badge = document.createElement('span');
+      badge.className = 'lang-status';
+      badge.textContent = DEFAULT_LABELS.beta;
+      badge.setAttribute('data-i18n', LABEL_KEYS.beta);
+      option.classList.add('beta');
+      option.appendChild(badge);
+    }
+    
+    return option;
+  }
+
+  /**
+   * Flag and name of a language, marked with its lang and dir
+   */
+  createLanguageLabel(languageCode, className) {
+    const languageInfo = getLanguageInfo(languageCode);
+    
+    const label = document.createElement('span');
+    label.className = className;
+    
+    if (this.dropdownOptions.showFlags && languageInfo.flag) {
+      const flag = document.createElement('span');
+      flag.className = 'dropdown-flag';
+      flag.setAttribute('aria-hidden', 'true');
+      flag.textContent = languageInfo.flag;
+      label.appendChild(flag);
+    }
+    
+    const name = document.createElement('span');
+    name.className = 'dropdown-name';
+    if (this.dropdownOptions.showNativeNames) {
+      name.setAttribute('lang', languageCode);
+      name.setAttribute('dir', languageInfo.direction);
+      name.textContent = languageInfo.native;
+    } else {
+      name.textContent = languageInfo.name;
+    }
+    label.appendChild(name);
+    
+    return label;
+  }
+
+  /**
+   * Set up trigger, search, list and outside-click listeners
+   */
+  setupEventListeners() {
+    if (!this.element) return;
+    
+    const trigger = this.element.querySelector('.dropdown-trigger');
+    const search = this.element.querySelector('.dropdown-search');
+    const list = this.element.querySelector('.dropdown-list');
+    
+    trigger.addEventListener('click', (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      if (this.isOpen) {
+        this.close();
+      } else {
+        this.open();
+      }
+    });
+    
+    trigger.addEventListener('keydown', (e) => {
+      if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault();
+        this.open(e.key === 'ArrowUp' ? 'last' : 'selected');
+      }
+    });
+    
+    if (search) {
+      search.addEventListener('input', () => this.filter(search.value));
+    }
+    
+    list.addEventListener('click', (e) => {
+      const option = e.target.closest('.dropdown-option');
+      if (option) {
+        this.select(option.getAttribute('data-lang'));
+      }
+    });
+    
+    list.addEventListener('mousemove', (e) => {
+      const option = e.target.closest('.dropdown-option');
+      if (option && option.getAttribute('data-lang') !== this.activeLanguage) {
+        this.setActiveOption(option.getAttribute('data-lang'), { scroll: false });
+      }
+    });
+    
+    this.element.querySelector('.dropdown-panel').addEventListener('keydown', this.handleKeydown);
+    document.addEventListener('click', this.handleDocumentClick);
+  }
+
+  /**
+   * Keyboard support inside the open panel (search field or list)
+   */
+  handleKeydown(event) {
+    const inSearch = event.target.classList.contains('dropdown-search');
+    
+    switch (event.key) {
+      case 'ArrowDown':
+      case 'ArrowUp':
+        event.preventDefault();
+        this.moveActiveOption(event.key === 'ArrowDown' ? 1 : -1);
+        break;
+      case 'Home':
+      case 'End':
+        // In the search field these move the caret
+        if (inSearch) return;
+        event.preventDefault();
+        this.setActiveOption(this.getVisibleLanguages()[event.key === 'Home' ? 0 : this.getVisibleLanguages().length - 1]);
+        break;
+      case 'Enter':
+        event.preventDefault();
+        if (this.activeLanguage) {
+          this.select(this.activeLanguage);
+        }
+        break;
+      case ' ':
+        // A space is part of the search text
+        if (inSearch) return;
+        event.preventDefault();
+        if (this.activeLanguage) {
+          this.select(this.activeLanguage);
+        }
+        break;
+      case 'Escape':
+        event.preventDefault();
+        event.stopPropagation();
+        this.close({ restoreFocus: true });
+        break;
+      case 'Tab':
+        this.close();
+        break;
+      default:
+        // Typing in the list jumps to the search field
+        if (!inSearch && event.key.length === 1 && !event.ctrlKey && !event.metaKey && !event.altKey) {
+          const search = this.element.querySelector('.dropdown-search');
+          if (search) search.focus();
+        }
+    }
+  }
+
+  /**
+   * Close when clicking anywhere outside the dropdown
+   */
+  handleDocumentClick(event) {
+    if (this.isOpen && this.element && !this.element.contains(event.target)) {
+      this.close();
+    }
+  }
+
+  /**
+   * Open the panel and focus the search field (or the list)
+   * @param {string} focus - 'selected' or 'last' option to start from
+   */
+  open(focus = 'selected') {
+    if (this.isOpen || !this.element) return;
+    
+    const trigger = this.element.querySelector('.dropdown-trigger');
+    const panel = this.element.querySelector('.dropdown-panel');
+    const search = this.element.querySelector('.dropdown-search');
+    
+    this.isOpen = true;
+    panel.hidden = false;
+    trigger.setAttribute('aria-expanded', 'true');
+    this.element.querySelector('.language-dropdown').classList.add('open');
+    
+    const visible = this.getVisibleLanguages();
+    this.setActiveOption(focus === 'last' ? visible[visible.length - 1] : this.currentLanguage);
+    
+    (search || this.element.querySelector('.dropdown-list')).focus();
+    this.emit('opened', { element: this.element });
+  }
+
+  /**
+   * Close the panel and reset the filter
+   */
+  close({ restoreFocus = false } = {}) {
+    if (!this.isOpen || !this.element) return;
+    
+    const trigger = this.element.querySelector('.dropdown-trigger');
+    const search = this.element.querySelector('.dropdown-search');
+    
+    this.isOpen = false;
+    this.element.querySelector('.dropdown-panel').hidden = true;
+    trigger.setAttribute('aria-expanded', 'false');
+    this.element.querySelector('.language-dropdown').classList.remove('open');
+    
+    if (search) {
+      search.value = '';
+    }
+    this.filter('');
+    
+    if (restoreFocus) {
+      trigger.focus();
+    }
+    this.emit('closed', { element: this.element });
+  }
+
+  /**
+   * Pick a language: update the display and emit the change like the slider
+   */
+  select(languageCode) {
+    const previousLanguage = this.currentLanguage;
+    this.close({ restoreFocus: true });
+    
+    if (!languageCode || languageCode === previousLanguage) return;
+    
+    this.updateLanguage(languageCode);
+    this.emit('languageChanged', {
+      from: previousLanguage,
+      to: languageCode,
+      element: this.element
+    });
+  }
+
+  /**
+   * Show the options whose native name, English name or code contain the query
+   */
+  filter(query) {
+    this.query = query;
+    const needle = this.normalize(query);
+    
+    this.element.querySelectorAll('.dropdown-option').forEach(option => {
+      const languageInfo = getLanguageInfo(option.getAttribute('data-lang'));
+      const haystack = [languageInfo.native, languageInfo.name, languageInfo.code].map(text => this.normalize(text));
+      option.hidden = needle !== '' && !haystack.some(text => text.includes(needle));
+    });
+    
+    // Hide groups left without options
+    this.element.querySelectorAll('.dropdown-group').forEach(group => {
+      group.hidden = !group.querySelector('.dropdown-option:not([hidden])');
+    });
+    
+    const visible = this.getVisibleLanguages();
+    this.element.querySelector('.dropdown-empty').hidden = visible.length > 0;
+    
+    if (!visible.includes(this.activeLanguage)) {
+      this.setActiveOption(visible[0] || null);
+    }
+  }
+
+  /**
+   * Case- and accent-insensitive form for matching ("Español" → "espanol")
+   */
+  normalize(text) {
+    return String(text || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLocaleLowerCase().trim();
+  }
+
+  /**
+   * Languages of the options the filter leaves visible, in display order
+   */
+  getVisibleLanguages() {
+    if (!this.element) return [];
+    
+    return Array.from(this.element.querySelectorAll('.dropdown-option:not([hidden])'))
+      .map(option => option.getAttribute('data-lang'));
+  }
+
+  /**
+   * Move the highlighted option up or down, wrapping around
+   */
+  moveActiveOption(step) {
+    const visible = this.getVisibleLanguages();
+    if (visible.length === 0) return;
+    
+    const index = visible.indexOf(this.activeLanguage);
+    const next = index === -1
+      ? (step > 0 ? 0 : visible.length - 1)
+      : (index + step + visible.length) % visible.length;
+    this.setActiveOption(visible[next]);
+  }
+
+  /**
+   * Highlight an option for aria-activedescendant and scroll it into view
+   */
+  setActiveOption(languageCode, { scroll = true } = {}) {
+    if (!this.element) return;
+    
+    this.activeLanguage = languageCode;
+    const search = this.element.querySelector('.dropdown-search');
+    const list = this.element.querySelector('.dropdown-list');
+    
+    this.element.querySelectorAll('.dropdown-option').forEach(option => {
+      option.classList.toggle('active', option.getAttribute('data-lang') === languageCode);
+    });
+    
+    const option = languageCode ? this.element.querySelector(`#${this.id}-option-${CSS.escape(languageCode)}`) : null;
+    [search, list].filter(Boolean).forEach(owner => {
+      if (option) {
+        owner.setAttribute('aria-activedescendant', option.id);
+      } else {
+        owner.removeAttribute('aria-activedescendant');
+      }
+    });
+    
+    if (option && scroll) {
+      option.scrollIntoView({ block: 'nearest' });
+    }
+  }
+
+  /**
+   * Update the trigger and the selected option
+   */
+  updateLanguage(languageCode) {
+    super.updateLanguage(languageCode);
+    if (!this.element || this.currentLanguage !== languageCode) return;
+    
+    const trigger = this.element.querySelector('.dropdown-trigger');
+    if (trigger) {
+      trigger.setAttribute('data-current-lang', languageCode);
+      trigger.querySelector('.dropdown-current').replaceWith(this.createLanguageLabel(languageCode, 'dropdown-current'));
+    }
+    
+    this.element.querySelectorAll('.dropdown-option').forEach(option => {
+      option.setAttribute('aria-selected', String(option.getAttribute('data-lang') === languageCode));
+    });
+  }
+
+  /**
+   * Focus the trigger (the open panel keeps its own focus)
+   */
+  focus() {
+    const trigger = this.element && this.element.querySelector('.dropdown-trigger');
+    if (trigger && !this.isOpen && document.activeElement !== trigger) {
+      trigger.focus({ preventScroll: true });
+    }
+  }
+
+  /**
+   * Enable/disable the dropdown
+   */
+  setEnabled(enabled) {
+    if (!this.element) return;
+    
+    if (!enabled) {
+      this.close();
+    }
+    const trigger = this.element.querySelector('.dropdown-trigger');
+    if (trigger) {
+      trigger.disabled = !enabled;
+      trigger.setAttribute('aria-disabled', !enabled);
+    }
+  }
+
+  /**
+   * Cleanup and destroy
+   */
+  destroy() {
+    document.removeEventListener('click', this.handleDocumentClick);
+    super.destroy();
+  }
+}
+
+// Export the class
+export default LanguageDropdown;
@@ -3,7 +3,7 @@
  * Modern, accessible language switching component
  */
 
-import { SUPPORTED_LANGUAGES, getLanguageInfo } from '../config/supported-languages.js';
+import { SUPPORTED_LANGUAGES, getLanguageInfo, getActiveLanguages, getLanguageStatus } from '../config/supported-languages.js';
 import { UI_SETTINGS } from '../config/settings.js';
 
 class LanguageToggle {
@@ -14,7 +14,12 @@ class LanguageToggle {
     };
     
     this.currentLanguage = 'en';
+    // Active languages from the translations manifest, in manifest order
+    this.languages = this.options.languages || getActiveLanguages();
+    // header, footer or floating; index.js creates one toggle per configured placement
+    this.position = [].concat(this.options.position)[0] || 'header';
     this.element = null;
+    this.handleScroll = null;
     this.isInitialized = false;
     this.eventListeners = new Map();
     
@@ -22,7 +27,7 @@ class LanguageToggle {
     this.init = this.init.bind(this);
     this.render = this.render.bind(this);
     this.updateLanguage = this.updateLanguage.bind(this);
-    this.handleClick = this.handleClick.handleClick.bind(this);
+    this.handleClick = this.handleClick.bind(this);
   }
 
   /**
@@ -41,24 +46,9 @@ class LanguageToggle {
       // Set up event listeners
       this.setupEventListeners();
       
-      // Set initial state
+      // Set initial state (active option and slider position)
       this.updateLanguage(this.currentLanguage);
       
-      // Set initial active state for sliding toggle
-      const langOptions = this.element.querySelectorAll('.lang-option');
-      langOptions.forEach((option, index) => {
-        if (this.currentLanguage === 'en' && index === 0) {
-          option.classList.add('active');
-          option.classList.remove('inactive');
-        } else if (this.currentLanguage === 'ar' && index === 1) {
-          option.classList.add('active');
-          option.classList.remove('inactive');
-        } else {
-          option.classList.add('inactive');
-          option.classList.remove('active');
-        }
-      });
-      
       this.isInitialized = true;
       console.log('✅ Language Toggle initialized successfully');
       
@@ -75,6 +65,11 @@ class LanguageToggle {
    * Render the finalized toggle component based on toggle-design-test.html
    */
   render() {
+    // The footer lists every language inline
+    if (this.position === 'footer') {
+      return this.renderList();
+    }
+    
     console.log('🎨 Creating language toggle component...');
     
     const container = document.createElement('div');
@@ -84,40 +79,27 @@ class LanguageToggle {
     const toggle = document.createElement('div');
     toggle.className = 'language-toggle';
     
-    // Create the main toggle button
-    const toggleButton = document.createElement('button');
+    // Create the main toggle: a radio group with one radio per language
+    const toggleButton = document.createElement('div');
     toggleButton.className = 'toggle-button';
+    toggleButton.setAttribute('role', 'radiogroup');
     toggleButton.setAttribute('data-current-lang', this.currentLanguage);
-    toggleButton.setAttribute('aria-label', 'Change language');
-    toggleButton.setAttribute('type', 'button');
+    toggleButton.setAttribute('aria-label', 'Language');
+    toggleButton.setAttribute('data-i18n-attr', 'aria-label:common.languageSwitcher.label');
     
     // Create sliding background
     const sliderBg = document.createElement('div');
     sliderBg.className = 'slider-bg';
-    if (this.currentLanguage === 'ar') {
-      sliderBg.classList.add('slide-right');
-    }
+    this.positionSlider(sliderBg, this.currentLanguage);
     
-    // Create language container
+    // Create language container with one option per active language
     const langContainer = document.createElement('div');
     langContainer.className = 'lang-container';
-    
-    // Create EN option
-    const enOption = document.createElement('div');
-    enOption.className = 'lang-option';
-    enOption.textContent = 'EN';
-    enOption.classList.add(this.currentLanguage === 'en' ? 'active' : 'inactive');
-    
-    // Create Arabic option
-    const arOption = document.createElement('div');
-    arOption.className = 'lang-option';
-    arOption.textContent = 'العربية';
-    arOption.classList.add(this.currentLanguage === 'ar' ? 'active' : 'inactive');
+    this.languages.forEach(languageCode => {
+      langContainer.appendChild(this.createOption(languageCode));
+    });
     
     // Assemble the toggle
-    langContainer.appendChild(enOption);
-    langContainer.appendChild(arOption);
-    
     toggleButton.appendChild(sliderBg);
     toggleButton.appendChild(langContainer);
     toggle.appendChild(toggleButton);
@@ -130,9 +112,132 @@ class LanguageToggle {
   }
 
   /**
-   * Append toggle to DOM
+   * Render the footer variant: every language inline, each in its own language,
+   * as the same radio group as the slider
+   */
+  renderList() {
+    const container = document.createElement('div');
+    container.className = 'language-toggle-container language-list';
+    
+    const group = document.createElement('div');
+    group.className = 'language-list-options';
+    group.setAttribute('role', 'radiogroup');
+    group.setAttribute('aria-label', 'Language');
+    group.setAttribute('data-i18n-attr', 'aria-label:common.languageSwitcher.label');
+    
+    this.languages.forEach(languageCode => {
+      const languageInfo = getLanguageInfo(languageCode);
+      const isActive = languageCode === this.currentLanguage;
+      
+      const option = document.createElement('div');
+      option.className = 'language-list-option';
+      option.setAttribute('role', 'radio');
+      option.setAttribute('aria-checked', isActive);
+      option.setAttribute('tabindex', isActive ? '0' : '-1');
+      option.setAttribute('data-lang', languageCode);
+      option.setAttribute('lang', languageCode);
+      option.setAttribute('dir', languageInfo.direction);
+      option.textContent = languageInfo.native;
+      
+      if (getLanguageStatus(languageCode) === 'beta') {
+        const badge = document.createElement('span');
+        badge.className = 'lang-status';
+        badge.textContent = 'beta';
+        option.appendChild(badge);
+      }
+      
+      group.appendChild(option);
+    });
+    
+    container.appendChild(group);
+    return container;
+  }
+
+  /**
+   * Create the radio for one language, marked up in that language so screen
+   * readers pronounce it correctly; beta languages carry a badge
+   */
+  createOption(languageCode) {
+    const languageInfo = getLanguageInfo(languageCode);
+    const isActive = this.currentLanguage === languageCode;
+    
+    const option = document.createElement('div');
+    option.className = 'lang-option';
+    option.setAttribute('role', 'radio');
+    option.setAttribute('aria-checked', isActive);
+    option.setAttribute('tabindex', isActive ? '0' : '-1');
+    option.setAttribute('data-lang', languageCode);
+    option.setAttribute('lang', languageCode);
+    option.setAttribute('dir', languageInfo.direction);
+    option.textContent = languageInfo.label || languageInfo.native;
+    option.classList.add(isActive ? 'active' : 'inactive');
+    
+    // Short labels ("EN") are read out as the language's own name
+    if (languageInfo.label) {
+      option.setAttribute('aria-label', languageInfo.native);
+    }
+    
+    if (getLanguageStatus(languageCode) === 'beta') {
+      const badge = document.createElement('span');
+      badge.className = 'lang-status';
+      badge.textContent = 'beta';
+      option.classList.add('beta');
+      option.appendChild(badge);
+    }
+    
+    return option;
+  }
+
+  /**
+   * Move the slider under the active option; the stylesheet positions it
+   * for two languages, more are laid out inline
+   */
+  positionSlider(sliderBg, languageCode) {
+    const index = Math.max(this.languages.indexOf(languageCode), 0);
+    
+    if (this.languages.length <= 2) {
+      sliderBg.classList.toggle('slide-right', index === 1);
+      sliderBg.style.removeProperty('width');
+      sliderBg.style.removeProperty('transform');
+      return;
+    }
+    
+    sliderBg.classList.remove('slide-right');
+    sliderBg.style.width = `calc((100% - 4px) / ${this.languages.length})`;
+    sliderBg.style.transform = `translateX(${index * 100}%)`;
+  }
+
+  /**
+   * Language after the given one, wrapping around
+   */
+  getNextLanguage(languageCode) {
+    const index = this.languages.indexOf(languageCode);
+    return this.languages[(index + 1) % this.languages.length];
+  }
+
+  /**
+   * Append toggle to DOM according to its placement
    */
   appendToDOM() {
+    // Explicit container (MarlnLocalizationSystem.insertLanguageToggle)
+    if (this.options.container) {
+      this.options.container.appendChild(this.element);
+      return;
+    }
+    
+    if (this.position === 'footer') {
+      const footer = document.querySelector('footer') || document.querySelector('.footer') || document.body;
+      footer.appendChild(this.element);
+      return;
+    }
+    
+    if (this.position === 'floating') {
+      this.element.classList.add('language-toggle-floating');
+      document.body.appendChild(this.element);
+      this.setupFloating();
+      return;
+    }
+    
     // Try to find header first
     let targetElement = document.querySelector('header') || 
                        document.querySelector('.header') ||
@@ -151,71 +256,141 @@ class LanguageToggle {
     }
   }
 
+  /**
+   * Floating placement: slide away while scrolling down, come back on scroll up
+   */
+  setupFloating() {
+    const { hideOnScroll, scrollThreshold } = this.options.floating || {};
+    if (!hideOnScroll) return;
+    
+    let lastScrollY = window.scrollY;
+    let frame = null;
+    
+    this.handleScroll = () => {
+      if (frame) return;
+      frame = requestAnimationFrame(() => {
+        frame = null;
+        if (!this.element) return;
+        
+        const scrollY = Math.max(window.scrollY, 0);
+        const delta = scrollY - lastScrollY;
+        if (Math.abs(delta) < scrollThreshold) return;
+        
+        // Never hide while the visitor is using it
+        const inUse = this.element.contains(document.activeElement);
+        this.element.classList.toggle('is-hidden', delta > 0 && scrollY > scrollThreshold && !inUse);
+        lastScrollY = scrollY;
+      });
+    };
+    
+    window.addEventListener('scroll', this.handleScroll, { passive: true });
+    
+    // Keyboard users tabbing into a hidden button bring it back
+    this.element.addEventListener('focusin', () => this.element.classList.remove('is-hidden'));
+  }
+
   /**
    * Set up event listeners for sliding toggle
    */
   setupEventListeners() {
     if (!this.element) return;
     
+    // Footer list: every language is its own radio
+    if (this.position === 'footer') {
+      const group = this.element.querySelector('.language-list-options');
+      group.addEventListener('click', (e) => {
+        const option = e.target.closest('.language-list-option');
+        if (!option || group.getAttribute('aria-disabled') === 'true') return;
+        if (option.getAttribute('data-lang') === this.currentLanguage) return;
+        
+        e.preventDefault();
+        const previousLanguage = this.currentLanguage;
+        this.updateLanguage(option.getAttribute('data-lang'));
+        this.emit('languageChanged', {
+          from: previousLanguage,
+          to: this.currentLanguage,
+          element: this.element
+        });
+      });
+      group.addEventListener('keydown', (e) => this.handleKeydown(e));
+      return;
+    }
+    
     const toggleButton = this.element.querySelector('.toggle-button');
     if (toggleButton) {
       // Listen for clicks on the toggle button
       toggleButton.addEventListener('click', (e) => {
         e.preventDefault();
         e.stopPropagation();
+        if (toggleButton.getAttribute('aria-disabled') === 'true') return;
         this.toggleLanguage(e);
       });
       
-      // Keyboard support
-      toggleButton.addEventListener('keydown', (e) => {
-        if (e.key === 'Enter' || e.key === ' ') {
-          e.preventDefault();
-          this.toggleLanguage(e);
-        }
-      });
+      // Keyboard support (radio group pattern)
+      toggleButton.addEventListener('keydown', (e) => this.handleKeydown(e));
     }
   }
   
   /**
-   * Handle language toggle logic
+   * Radio group keys: arrows move to and select the previous/next language,
+   * Space or Enter select the focused one
    */
-  toggleLanguage(event) {
-    event.stopPropagation();
+  handleKeydown(event) {
+    const toggleButton = event.currentTarget;
+    if (toggleButton.getAttribute('aria-disabled') === 'true') return;
     
-    const toggleButton = this.element.querySelector('.toggle-button');
-    const currentLang = toggleButton.getAttribute('data-current-lang');
-    const sliderBg = toggleButton.querySelector('.slider-bg');
-    const langOptions = toggleButton.querySelectorAll('.lang-option');
-    
-    // Toggle to opposite language
-    const newLang = currentLang === 'en' ? 'ar' : 'en';
-    
-    // Update the current language
-    toggleButton.setAttribute('data-current-lang', newLang);
+    // Arrows follow the visual order, which flips in a right-to-left group
+    const reversed = getComputedStyle(toggleButton).direction === 'rtl';
+    const steps = {
+      ArrowRight: reversed ? -1 : 1,
+      ArrowLeft: reversed ? 1 : -1,
+      ArrowDown: 1,
+      ArrowUp: -1
+    };
     
-    // Slide the background
-    if (newLang === 'ar') {
-      sliderBg.classList.add('slide-right');
+    let newLang = null;
+    if (steps[event.key]) {
+      const index = this.languages.indexOf(this.currentLanguage);
+      newLang = this.languages[(index + steps[event.key] + this.languages.length) % this.languages.length];
+    } else if (event.key === ' ' || event.key === 'Enter') {
+      const option = event.target.closest('.lang-option, .language-list-option');
+      newLang = option ? option.getAttribute('data-lang') : null;
     } else {
-      sliderBg.classList.remove('slide-right');
+      return;
     }
     
-    // Update active/inactive states
-    langOptions.forEach((option, index) => {
-      if (newLang === 'en' && index === 0) {
-        option.classList.add('active');
-        option.classList.remove('inactive');
-      } else if (newLang === 'ar' && index === 1) {
-        option.classList.add('active');
-        option.classList.remove('inactive');
-      } else {
-        option.classList.add('inactive');
-        option.classList.remove('active');
-      }
+    event.preventDefault();
+    if (!newLang || newLang === this.currentLanguage) return;
+    
+    const previousLanguage = this.currentLanguage;
+    this.updateLanguage(newLang);
+    this.emit('languageChanged', {
+      from: previousLanguage,
+      to: newLang,
+      element: this.element
     });
+  }
+  
+  /**
+   * Handle language toggle logic: a clicked option is selected (the checked one
+   * stays as it is), a click elsewhere on the track moves on to the next language
+   */
+  toggleLanguage(event) {
+    event.stopPropagation();
+    
+    const option = event.target.closest ? event.target.closest('.lang-option') : null;
+    const previousLanguage = this.currentLanguage;
+    const newLang = option ? option.getAttribute('data-lang') : this.getNextLanguage(previousLanguage);
+    
+    if (!newLang || newLang === previousLanguage) return;
     
     // Update internal state and emit event
     this.updateLanguage(newLang);
+    this.emit('languageChanged', {
+      from: previousLanguage,
+      to: newLang,
+      element: this.element
+    });
   }
 
   /**
@@ -226,13 +401,14 @@ class LanguageToggle {
     event.stopPropagation();
     
     try {
-      // Toggle to opposite language
-      const newLang = this.currentLanguage === 'en' ? 'ar' : 'en';
+      // Move on to the next language
+      const previousLanguage = this.currentLanguage;
+      const newLang = this.getNextLanguage(previousLanguage);
       this.updateLanguage(newLang);
       
       // Emit language change event
       this.emit('languageChanged', {
-        from: this.currentLanguage,
+        from: previousLanguage,
         to: newLang,
         element: this.element
       });
@@ -264,31 +440,35 @@ class LanguageToggle {
       // Update sliding background
       const sliderBg = this.element.querySelector('.slider-bg');
       if (sliderBg) {
-        if (languageCode === 'ar') {
-          sliderBg.classList.add('slide-right');
-        } else {
-          sliderBg.classList.remove('slide-right');
-        }
+        this.positionSlider(sliderBg, languageCode);
       }
       
-      // Update language option states
+      // Update language option states; only the checked radio is in the tab order
+      const hadFocus = this.element.contains(document.activeElement);
       const langOptions = this.element.querySelectorAll('.lang-option');
-      langOptions.forEach((option, index) => {
-        if (languageCode === 'en' && index === 0) {
-          option.classList.add('active');
-          option.classList.remove('inactive');
-        } else if (languageCode === 'ar' && index === 1) {
-          option.classList.add('active');
-          option.classList.remove('inactive');
-        } else {
-          option.classList.add('inactive');
-          option.classList.remove('active');
-        }
+      langOptions.forEach(option => {
+        const isActive = option.getAttribute('data-lang') === languageCode;
+        option.classList.toggle('active', isActive);
+        option.classList.toggle('inactive', !isActive);
+        option.setAttribute('aria-checked', isActive);
+        option.setAttribute('tabindex', isActive ? '0' : '-1');
+      });
+      
+      // Footer list
+      this.element.querySelectorAll('.language-list-option').forEach(option => {
+        const isActive = option.getAttribute('data-lang') === languageCode;
+        option.setAttribute('aria-checked', isActive);
+        option.setAttribute('tabindex', isActive ? '0' : '-1');
       });
       
       // Update RTL support
       this.updateRTL(languageCode);
       
+      // Keep keyboard focus on the control, now on the checked language
+      if (hadFocus) {
+        this.focus();
+      }
+      
       // Emit language update event
       this.emit('languageUpdated', {
         from: previousLanguage,
@@ -319,6 +499,18 @@ class LanguageToggle {
     }
   }
 
+  /**
+   * Focus the control: the checked radio of the slider or the footer list
+   */
+  focus() {
+    if (!this.element) return;
+    
+    const target = this.element.querySelector('.lang-option[aria-checked="true"], .language-list-option[aria-checked="true"]');
+    if (target && document.activeElement !== target) {
+      target.focus({ preventScroll: true });
+    }
+  }
+
   /**
    * Get current language
    */
@@ -347,11 +539,10 @@ class LanguageToggle {
    */
   setEnabled(enabled) {
     if (this.element) {
-      const toggleButton = this.element.querySelector('.toggle-button');
-      if (toggleButton) {
-        toggleButton.disabled = !enabled;
-        toggleButton.setAttribute('aria-disabled', !enabled);
-      }
+      // Slider or footer radio group
+      this.element.querySelectorAll('[role="radiogroup"]').forEach(group => {
+        group.setAttribute('aria-disabled', !enabled);
+      });
     }
   }
 
@@ -426,11 +617,9 @@ class LanguageToggle {
   destroy() {
     try {
       // Remove event listeners
-      if (this.element) {
-        const toggleButton = this.element.querySelector('.toggle-button');
-        if (toggleButton) {
-          toggleButton.removeEventListener('click', this.handleClick);
-        }
+      if (this.handleScroll) {
+        window.removeEventListener('scroll', this.handleScroll);
+        this.handleScroll = null;
       }
       
       // Remove from DOM
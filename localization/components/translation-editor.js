@@ -0,0 +1,506 @@
+/**
+ * ✏️ In-Context Translation Editor
+ * Debug overlay opened with ?i18n-edit=1: outlines translated elements, shows
+ * their keys on hover and edits the current language's strings in place.
+ * Edits preview live through the engine and download as a JSON Patch (RFC 6902)
+ * against localization/languages/<lang>.json
+ */
+
+import { getLanguageInfo } from '../config/supported-languages.js';
+import { LOCALIZATION_SETTINGS } from '../config/settings.js';
+import { TranslationLoader } from '../utils/translation-loader.js';
+
+const EDITABLE_SELECTOR = '[data-i18n], [data-i18n-html]';
+const EDITOR_PARAMETER = 'i18n-edit';
+const STORAGE_KEY = 'marln-i18n-editor-edits';
+const PREVIEW_DELAY = 200; // ms of typing pause before the page re-renders
+
+class TranslationEditor {
+  constructor(engine) {
+    this.engine = engine;
+    
+    // "language:key" → { language, key, original, value }
+    this.edits = new Map();
+    this.session = null;
+    this.toolbar = null;
+    this.label = null;
+    this.panel = null;
+    this.previewTimer = null;
+    this.isInitialized = false;
+    this.eventListeners = new Map();
+    
+    // Bind methods
+    this.handleMouseOver = this.handleMouseOver.bind(this);
+    this.handleClick = this.handleClick.bind(this);
+    this.handleLanguageChanged = this.handleLanguageChanged.bind(this);
+  }
+
+  /**
+   * Whether the current URL asks for the editor (?i18n-edit=1)
+   */
+  static isRequested() {
+    if (!LOCALIZATION_SETTINGS.development.inContextEditor) return false;
+    
+    const value = new URLSearchParams(window.location.search).get(EDITOR_PARAMETER);
+    return value !== null && value !== '0' && value !== 'false';
+  }
+
+  /**
+   * Initialize the editor overlay
+   */
+  init() {
+    try {
+      console.log('✏️ Initializing Translation Editor...');
+      
+      this.restoreEdits();
+      
+      this.toolbar = this.renderToolbar();
+      this.label = document.createElement('div');
+      this.label.className = 'i18n-editor-ui i18n-editor-label';
+      this.label.hidden = true;
+      document.body.append(this.toolbar, this.label);
+      document.documentElement.classList.add('i18n-editing');
+      
+      document.addEventListener('mouseover', this.handleMouseOver, true);
+      document.addEventListener('click', this.handleClick, true);
+      this.engine.on('languageChanged', this.handleLanguageChanged);
+      this.engine.on('languageReloaded', this.handleLanguageChanged);
+      
+      this.applyEdits();
+      this.updateToolbar();
+      
+      this.isInitialized = true;
+      console.log('✅ Translation Editor ready: click any outlined text to edit it');
+      
+    } catch (error) {
+      console.error('❌ Failed to initialize Translation Editor:', error);
+      this.handleError(error);
+    }
+  }
+
+  /**
+   * Build the fixed toolbar (language, edit count, download, clear, exit)
+   */
+  renderToolbar() {
+    const toolbar = document.createElement('div');
+    toolbar.className = 'i18n-editor-ui i18n-editor-toolbar';
+    toolbar.setAttribute('dir', 'ltr');
+    toolbar.setAttribute('role', 'toolbar');
+    toolbar.setAttribute('aria-label', 'Translation editor');
+    
+    const status = document.createElement('span');
+    status.className = 'i18n-editor-status';
+    
+    const download = this.createButton('Download patch', () => this.downloadPatch());
+    download.classList.add('i18n-editor-download');
+    
+    const clear = this.createButton('Clear', () => this.clearEdits());
+    clear.classList.add('i18n-editor-clear');
+    
+    const exit = this.createButton('Exit', () => this.destroy());
+    
+    toolbar.append(status, download, clear, exit);
+    return toolbar;
+  }
+
+  createButton(text, onClick) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.textContent = text;
+    button.addEventListener('click', onClick);
+    return button;
+  }
+
+  /**
+   * Refresh the toolbar for the current language
+   */
+  updateToolbar() {
+    if (!this.toolbar) return;
+    
+    const language = this.engine.getCurrentLanguage();
+    const count = this.getEdits(language).length;
+    
+    this.toolbar.querySelector('.i18n-editor-status').textContent =
+      `✏️ ${language} · ${count} edit${count === 1 ? '' : 's'}`;
+    this.toolbar.querySelector('.i18n-editor-download').disabled = count === 0;
+    this.toolbar.querySelector('.i18n-editor-clear').disabled = count === 0;
+  }
+
+  getKey(element) {
+    return element.getAttribute('data-i18n') || element.getAttribute('data-i18n-html');
+  }
+
+  isEditorElement(node) {
+    return Boolean(node.closest && node.closest('.i18n-editor-ui'));
+  }
+
+  /**
+   * Show the key of the hovered element next to its inline-start corner
+   */
+  handleMouseOver(event) {
+    const element = event.target.closest ? event.target.closest(EDITABLE_SELECTOR) : null;
+    
+    if (!element || this.isEditorElement(event.target)) {
+      this.label.hidden = true;
+      return;
+    }
+    
+    this.label.textContent = this.getKey(element);
+    this.label.hidden = false;
+    
+    const rect = element.getBoundingClientRect();
+    const left = getLanguageInfo(this.engine.getCurrentLanguage()).rtl
+      ? rect.right - this.label.offsetWidth
+      : rect.left;
+    
+    this.label.style.top = `${Math.max(0, rect.top - this.label.offsetHeight)}px`;
+    this.label.style.left = `${Math.max(0, left)}px`;
+  }
+
+  /**
+   * Clicking translated text opens the editor instead of following links or buttons
+   */
+  handleClick(event) {
+    if (this.isEditorElement(event.target)) return;
+    
+    const element = event.target.closest ? event.target.closest(EDITABLE_SELECTOR) : null;
+    if (!element) return;
+    
+    event.preventDefault();
+    event.stopPropagation();
+    this.openPanel(element);
+  }
+
+  /**
+   * Raw value the next catalog in the language's fallback chain serves for a key (null when none)
+   */
+  getFallbackSource(key, language) {
+    for (const code of this.engine.getFallbackChain(language).slice(1)) {
+      const value = this.engine.lookupKey(key, this.engine.translations.get(code));
+      if (value !== null) return value;
+    }
+    return null;
+  }
+
+  /**
+   * Open the inline edit panel for one element
+   */
+  openPanel(element) {
+    const language = this.engine.getCurrentLanguage();
+    const languageInfo = getLanguageInfo(language);
+    const key = this.getKey(element);
+    
+    if (languageInfo.pseudo) {
+      console.warn(`⚠️ ${language} is generated from ${languageInfo.pseudo.source} and cannot be edited`);
+      return;
+    }
+    
+    // Value in the language's own catalog, before any edit (null when missing or falling back).
+    // The panel edits raw catalog values: ICU source, not the formatted text
+    const own = this.engine.lookupKey(key, this.engine.translations.get(language));
+    const value = own !== null ? own : this.getFallbackSource(key, language);
+    if (value !== null && typeof value !== 'string') {
+      console.warn(`⚠️ "${key}" is not a string and cannot be edited inline`);
+      return;
+    }
+    
+    this.closePanel();
+    
+    const recorded = this.edits.get(`${language}:${key}`);
+    this.session = {
+      language,
+      key,
+      before: own === null ? undefined : own,
+      original: recorded ? recorded.original : own
+    };
+    
+    this.panel = document.createElement('div');
+    this.panel.className = 'i18n-editor-ui i18n-editor-panel';
+    this.panel.setAttribute('role', 'dialog');
+    this.panel.setAttribute('aria-label', `Edit ${key}`);
+    
+    const title = document.createElement('code');
+    title.className = 'i18n-editor-key';
+    title.textContent = key;
+    
+    const textarea = document.createElement('textarea');
+    textarea.value = value || '';
+    textarea.lang = language;
+    textarea.dir = languageInfo.direction;
+    textarea.rows = Math.min(8, Math.max(2, Math.ceil(textarea.value.length / 40)));
+    textarea.addEventListener('input', () => this.schedulePreview(textarea.value));
+    textarea.addEventListener('keydown', (event) => {
+      if (event.key === 'Escape') {
+        event.preventDefault();
+        this.cancelEdit();
+      } else if (event.key === 'Enter' && (event.ctrlKey || event.metaKey)) {
+        event.preventDefault();
+        this.saveEdit(textarea.value);
+      }
+    });
+    
+    const actions = document.createElement('div');
+    actions.className = 'i18n-editor-actions';
+    actions.append(
+      this.createButton('Save', () => this.saveEdit(textarea.value)),
+      this.createButton('Cancel', () => this.cancelEdit())
+    );
+    
+    this.panel.append(title, textarea, actions);
+    document.body.appendChild(this.panel);
+    this.positionPanel(element);
+    textarea.focus();
+  }
+
+  /**
+   * Place the panel under the element, kept inside the viewport
+   */
+  positionPanel(element) {
+    const rect = element.getBoundingClientRect();
+    const width = this.panel.offsetWidth;
+    const height = this.panel.offsetHeight;
+    const rtl = getLanguageInfo(this.engine.getCurrentLanguage()).rtl;
+    
+    const left = rtl ? rect.right - width : rect.left;
+    const top = rect.bottom + height + 8 > window.innerHeight ? rect.top - height - 8 : rect.bottom + 8;
+    
+    this.panel.style.left = `${Math.min(Math.max(8, left), window.innerWidth - width - 8)}px`;
+    this.panel.style.top = `${Math.max(8, top)}px`;
+  }
+
+  /**
+   * Preview while typing, re-rendering once the translator pauses
+   */
+  schedulePreview(value) {
+    clearTimeout(this.previewTimer);
+    this.previewTimer = setTimeout(() => this.preview(value), PREVIEW_DELAY);
+  }
+
+  /**
+   * Re-render the page with a draft value
+   */
+  async preview(value) {
+    clearTimeout(this.previewTimer);
+    if (!this.session) return;
+    
+    this.engine.setTranslation(this.session.key, value, this.session.language);
+    await this.engine.updatePage();
+  }
+
+  async saveEdit(value) {
+    if (!this.session) return;
+    
+    const { language, key, original } = this.session;
+    await this.preview(value);
+    
+    if (value === original) {
+      this.edits.delete(`${language}:${key}`);
+    } else {
+      this.edits.set(`${language}:${key}`, { language, key, original, value });
+    }
+    
+    console.log(`✏️ Edited [${language}] ${key}`);
+    this.emit('edited', { language, key, original, value });
+    
+    this.session = null;
+    this.closePanel();
+    this.persistEdits();
+    this.updateToolbar();
+  }
+
+  async cancelEdit() {
+    if (!this.session) return;
+    
+    await this.preview(this.session.before);
+    this.session = null;
+    this.closePanel();
+  }
+
+  closePanel() {
+    clearTimeout(this.previewTimer);
+    if (this.panel) {
+      this.panel.remove();
+      this.panel = null;
+    }
+  }
+
+  /**
+   * Edits recorded for a language, in key order
+   */
+  getEdits(language = this.engine.getCurrentLanguage()) {
+    return [...this.edits.values()]
+      .filter(edit => edit.language === language)
+      .sort((a, b) => a.key.localeCompare(b.key));
+  }
+
+  /**
+   * JSON Patch (RFC 6902) turning localization/languages/<lang>.json into the edited catalog
+   * Diffed against that file as deployed, not the merged runtime catalog: keys that only
+   * exist in i18n/<lang>.json or as fallbacks are added, missing parent objects first
+   * @returns {Promise<Array>} [{ op: 'replace' | 'add', path: '/about/title', value }]
+   */
+  async getPatch(language = this.engine.getCurrentLanguage()) {
+    const url = LOCALIZATION_SETTINGS.catalog.sources[0].replace('{lang}', language);
+    const target = await TranslationLoader.fetchJSON(url, { cache: 'no-cache' });
+    const patch = [];
+    
+    this.getEdits(language).forEach(({ key, value }) => {
+      const segments = key.split('.');
+      let node = target;
+      
+      segments.forEach((segment, index) => {
+        const path = '/' + segments.slice(0, index + 1).map(part => part.replace(/~/g, '~0').replace(/\//g, '~1')).join('/');
+        const exists = Object.prototype.hasOwnProperty.call(node, segment);
+        
+        if (index === segments.length - 1) {
+          if (!exists || node[segment] !== value) {
+            patch.push({ op: exists ? 'replace' : 'add', path, value });
+            node[segment] = value;
+          }
+          return;
+        }
+        
+        // "add" on an existing non-object member replaces it
+        if (!exists || node[segment] === null || typeof node[segment] !== 'object') {
+          patch.push({ op: 'add', path, value: {} });
+          node[segment] = {};
+        }
+        node = node[segment];
+      });
+    });
+    
+    return patch;
+  }
+
+  async downloadPatch(language = this.engine.getCurrentLanguage()) {
+    let patch;
+    try {
+      patch = await this.getPatch(language);
+    } catch (error) {
+      console.error(`❌ Could not read localization/languages/${language}.json to build the patch:`, error);
+      this.handleError(error);
+      return;
+    }
+    if (patch.length === 0) return;
+    
+    const blob = new Blob([`${JSON.stringify(patch, null, 2)}\n`], { type: 'application/json-patch+json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${language}.patch.json`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+    
+    console.log(`💾 Downloaded ${patch.length} edit(s) for localization/languages/${language}.json`);
+  }
+
+  /**
+   * Drop the current language's edits and restore the catalog values
+   */
+  async clearEdits(language = this.engine.getCurrentLanguage()) {
+    this.getEdits(language).forEach(({ key, original }) => {
+      this.engine.setTranslation(key, original === null ? undefined : original, language);
+      this.edits.delete(`${language}:${key}`);
+    });
+    
+    this.persistEdits();
+    this.updateToolbar();
+    await this.engine.updatePage();
+  }
+
+  /**
+   * Re-apply recorded edits to the current language's freshly loaded catalog
+   */
+  async applyEdits() {
+    const language = this.engine.getCurrentLanguage();
+    const edits = this.getEdits(language);
+    if (edits.length === 0 || !this.engine.translations.has(language)) return;
+    
+    edits.forEach(({ key, value }) => this.engine.setTranslation(key, value, language));
+    await this.engine.updatePage();
+  }
+
+  /**
+   * Edits survive reloads and path-routed language switches for the browser session
+   */
+  persistEdits() {
+    try {
+      sessionStorage.setItem(STORAGE_KEY, JSON.stringify([...this.edits.values()]));
+    } catch (error) {
+      console.warn('⚠️ Could not store translation edits:', error);
+    }
+  }
+
+  restoreEdits() {
+    try {
+      const stored = JSON.parse(sessionStorage.getItem(STORAGE_KEY) || '[]');
+      stored.forEach(edit => this.edits.set(`${edit.language}:${edit.key}`, edit));
+    } catch (error) {
+      console.warn('⚠️ Could not restore translation edits:', error);
+    }
+  }
+
+  handleLanguageChanged() {
+    if (!this.isInitialized) return;
+    
+    this.session = null;
+    this.closePanel();
+    this.applyEdits();
+    this.updateToolbar();
+  }
+
+  /**
+   * Event system
+   */
+  on(event, callback) {
+    if (!this.eventListeners.has(event)) {
+      this.eventListeners.set(event, []);
+    }
+    this.eventListeners.get(event).push(callback);
+  }
+
+  emit(event, data) {
+    const listeners = this.eventListeners.get(event);
+    if (listeners) {
+      listeners.forEach(callback => {
+        try {
+          callback(data);
+        } catch (error) {
+          console.error(`❌ Error in event listener for ${event}:`, error);
+        }
+      });
+    }
+  }
+
+  /**
+   * Error handling
+   */
+  handleError(error) {
+    console.error('❌ Translation Editor Error:', error);
+    
+    // Emit error event
+    this.emit('error', { error, timestamp: Date.now() });
+  }
+
+  /**
+   * Remove the overlay; previewed edits stay on the page until reload
+   */
+  destroy() {
+    document.removeEventListener('mouseover', this.handleMouseOver, true);
+    document.removeEventListener('click', this.handleClick, true);
+    document.documentElement.classList.remove('i18n-editing');
+    
+    this.closePanel();
+    [this.toolbar, this.label].forEach(element => element && element.remove());
+    this.toolbar = null;
+    this.label = null;
+    this.session = null;
+    this.isInitialized = false;
+    
+    console.log('🧹 Translation Editor closed');
+  }
+}
+
+export default TranslationEditor;
@@ -9,7 +9,7 @@ export const LOCALIZATION_SETTINGS = {
     cacheEnabled: true,
     cacheExpiry: 3600000, // 1 hour in milliseconds
     lazyLoading: true,
-    preloadLanguages: ['en', 'ar'],
+    preloadLanguages: null, // null: every stable language in the manifest
     maxCacheSize: 10 * 1024 * 1024, // 10MB
     compressionEnabled: true
   },
@@ -30,10 +30,59 @@ export const LOCALIZATION_SETTINGS = {
     defaultLanguage: 'en',
     fallbackLanguage: 'en',
     autoDetect: true,
-    rememberUserChoice: true,
+    rememberUserChoice: true, // Store the choice (cookie + localStorage) and apply it on later visits
     urlParameter: 'lang',
     cookieName: 'marln-lang',
-    localStorageKey: 'marln-language'
+    localStorageKey: 'marln-language',
+    
+    // Share of the default language's keys a catalog must translate (tools/build-manifest.mjs):
+    // at 'stable' a language is offered, from 'beta' it is offered flagged as beta, below that hidden
+    completeness: {
+      stable: 95,
+      beta: 60
+    },
+    
+    // 'path': /ar/about-us.html (pages written by tools/prerender.mjs), default language unprefixed
+    // 'query': /about-us.html?lang=ar. The ?lang= parameter is honoured in both modes.
+    routing: 'path',
+    
+    // Language resolution pipeline (first detector with a supported language wins)
+    detection: {
+      order: ['path', 'query', 'cookie', 'storage', 'server', 'navigator', 'htmlLang'],
+      serverHintGlobal: '__MARLN_LANGUAGE_HINT__', // window property set by the server
+      serverHintMeta: 'marln-language-hint' // <meta name="..." content="ar">
+    }
+  },
+
+  // Number and Calendar Preferences
+  // Defaults per language live in SUPPORTED_LANGUAGES (numberingSystem, calendar, dualCalendar);
+  // a visitor's override is stored like the language choice
+  formatting: {
+    localStorageKey: 'marln-format-preferences',
+    cookieName: 'marln-format'
+  },
+
+  // Translation Catalogs
+  catalog: {
+    // Fetched in priority order; '{lang}' is replaced with the language code.
+    // Flat ("header.about") and nested files are merged into one catalog.
+    sources: ['/localization/languages/{lang}.json', '/i18n/{lang}.json'],
+    canonicalFormat: 'nested', // nested, flat
+    manifest: '/localization/languages/manifest.json', // Content hashes per catalog file
+    reportConflicts: true,
+    // Per-namespace bundles written by tools/split-namespaces.mjs. Pages opt in with
+    // <html data-i18n-ns="index,partners">; without it the full catalogs are loaded.
+    namespaces: {
+      path: '/localization/languages/{lang}/{ns}.json',
+      shared: 'common', // Always loaded
+      sharedKeys: ['header', 'dropdown', 'common', 'footer'] // Top-level keys bundled into the shared namespace
+    }
+  },
+
+  // Dynamic Content
+  dom: {
+    observeMutations: false, // Opt-in: translate [data-i18n*] content inserted after load
+    observeRoot: 'body'
   },
 
   // RTL Support
@@ -59,15 +108,18 @@ export const LOCALIZATION_SETTINGS = {
     debugMode: false,
     verboseLogging: false,
     performanceMonitoring: true,
-    hotReload: false
+    hotReload: false,
+    inContextEditor: false // true: ?i18n-edit=1 opens the translation editor overlay (components/translation-editor.js); keep off in production
   },
 
   // SEO Settings
+  // Pages name their title/description keys with <html data-i18n-meta="about.meta">
   seo: {
-    hreflangEnabled: true,
-    alternateLinks: true,
-    canonicalUrls: true,
-    metaLanguageTags: true
+    hreflangEnabled: true, // link rel=alternate hreflang per active language + x-default
+    alternateLinks: true, // og:locale:alternate per other active language
+    canonicalUrls: true, // link rel=canonical + og:url
+    metaLanguageTags: true, // meta[name=language] + og:locale
+    siteUrl: 'https://marlncorp.com' // Origin used for canonical and alternate URLs
   },
 
   // Analytics
@@ -86,7 +138,10 @@ export const PERFORMANCE_SETTINGS = {
     enabled: LOCALIZATION_SETTINGS.performance.cacheEnabled,
     expiry: LOCALIZATION_SETTINGS.performance.cacheExpiry,
     maxSize: LOCALIZATION_SETTINGS.performance.maxCacheSize,
-    compression: LOCALIZATION_SETTINGS.performance.compressionEnabled
+    compression: LOCALIZATION_SETTINGS.performance.compressionEnabled,
+    persistent: true, // IndexedDB, falling back to localStorage
+    dbName: 'marln-localization',
+    storageKeyPrefix: 'marln-i18n-cache:'
   },
 
   // Loading Strategy
@@ -94,7 +149,10 @@ export const PERFORMANCE_SETTINGS = {
     lazy: LOCALIZATION_SETTINGS.performance.lazyLoading,
     preload: LOCALIZATION_SETTINGS.performance.preloadLanguages,
     priority: ['en', 'ar'], // Load order priority
-    timeout: 5000 // 5 seconds timeout
+    timeout: 5000, // 5 seconds timeout per request
+    retries: 2, // Retries for timeouts, network errors and 5xx responses
+    retryDelay: 300, // Base delay in ms, doubled on every retry
+    budget: 10000 // Total time in ms for one language load, retries included
   },
 
   // Memory Management
@@ -110,11 +168,17 @@ export const UI_SETTINGS = {
   // Toggle Button
   toggle: {
     size: 'medium', // small, medium, large
-    style: 'modern', // classic, modern, minimal
-    position: 'header', // header, footer, floating
+    style: 'modern', // classic, modern, minimal, dropdown (used once more than two languages are active)
+    position: 'header', // header, footer, floating, or several: ['header', 'floating']
     animation: 'slide', // slide, fade, bounce
     showText: true,
-    showIcon: true
+    showIcon: true,
+    
+    // Floating placement: fixed to the inline-end bottom corner
+    floating: {
+      hideOnScroll: true, // Hide while scrolling down, show on scroll up
+      scrollThreshold: 8 // Pixels scrolled before reacting
+    }
   },
 
   // Dropdown Menu
@@ -133,6 +197,14 @@ export const UI_SETTINGS = {
     format: 'code', // code, name, native, flag
     position: 'top-right',
     size: 'small'
+  },
+
+  // Screen Readers
+  accessibility: {
+    announceLanguageChange: true, // Polite live region, read in the new language
+    announceDelay: 100, // ms between clearing and filling the region, so a repeated message is read again
+    sessionStorageKey: 'marln-language-switch', // Carries the announcement across path-routed page loads
+    focusStorageKey: 'marln-language-toggle-focus' // Refocuses the toggle used for the switch on the new page
   }
 };
 
@@ -159,6 +231,20 @@ export const RTL_SETTINGS = {
     dropdownDirection: true,
     textAlignment: true,
     iconFlip: true
+  },
+
+  // Bidirectional Text (RTL pages only; see utils/bidi.js)
+  bidi: {
+    enabled: true,
+    isolateLatinRuns: true, // Latin words, emails, phone numbers, versions → <bdi dir="ltr">
+    isolateArguments: true, // Interpolated {values} → FSI…PDI isolates
+    // Protected terms: isolated with lang="en" translate="no"
+    glossary: [
+      'Marln', 'Marln Corp', 'MagicPalm', 'TalkBright', 'Nexushive',
+      'AWS', 'Azure', 'Microsoft', 'Google Cloud', 'Oracle', 'OpenAI',
+      'Databricks', 'Snowflake', 'Tableau', 'Power BI', 'Qlik', 'Terraform'
+    ],
+    ltrInputTypes: ['email', 'tel', 'url'] // Always rendered dir="ltr"
   }
 };
 
@@ -197,17 +283,20 @@ export const DEV_SETTINGS = {
     performance: LOCALIZATION_SETTINGS.development.performanceMonitoring
   },
 
-  // Hot Reload
+  // Hot Reload (node localization/tools/dev-server.mjs)
+  // Always on for pages served from localhost; catalog edits reload in place, other files reload the page
   hotReload: {
     enabled: LOCALIZATION_SETTINGS.development.hotReload,
     watchFiles: ['*.json', '*.js'],
-    reloadDelay: 1000
+    reloadDelay: 1000, // Debounce before rebuilding/notifying (ms)
+    endpoint: '/__i18n/events' // Server-Sent Events stream
   },
 
   // Testing
   testing: {
     mockTranslations: false,
-    fakeLanguage: false,
+    fakeLanguage: false, // true (or ['en-XA', 'ar-XB']) enables pseudo-locales: ?lang=en-XA, ?lang=ar-XB
+    pseudoExpansion: 0.4, // Pseudo-locale padding (+40% length)
     performanceBenchmarks: true
   }
 };
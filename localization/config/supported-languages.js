@@ -8,6 +8,7 @@ export const SUPPORTED_LANGUAGES = {
   en: {
     name: 'English',
     native: 'English',
+    label: 'EN', // Short text on the slider toggle (defaults to native)
     code: 'en',
     rtl: false,
     flag: '🇺🇸',
@@ -15,7 +16,12 @@ export const SUPPORTED_LANGUAGES = {
     dateFormat: 'MM/DD/YYYY',
     timeFormat: '12h',
     currency: 'USD',
-    locale: 'en-US'
+    locale: 'en-US',
+    numberingSystem: 'latn',
+    numberingSystems: ['latn'],
+    calendar: 'gregory',
+    calendars: ['gregory', 'islamic-umalqura'],
+    dualCalendar: 'islamic-umalqura'
   },
   
   // Arabic (Current)
@@ -29,7 +35,13 @@ export const SUPPORTED_LANGUAGES = {
     dateFormat: 'DD/MM/YYYY',
     timeFormat: '24h',
     currency: 'SAR',
-    locale: 'ar-SA'
+    locale: 'ar-SA',
+    // Defaults; visitors may pick any listed value (LocalizationEngine.setFormatPreferences)
+    numberingSystem: 'arab', // 'arab' (٠١٢٣) or 'latn' (0123)
+    numberingSystems: ['arab', 'latn'],
+    calendar: 'gregory',
+    calendars: ['gregory', 'islamic-umalqura'],
+    dualCalendar: 'islamic-umalqura' // Second calendar shown by data-i18n-date-dual
   },
   
   // Spanish (Future - Easy to add)
@@ -142,6 +154,35 @@ export const SUPPORTED_LANGUAGES = {
     timeFormat: '24h',
     currency: 'EUR',
     locale: 'pt-PT'
+  },
+  
+  // Pseudo-locales generated from English for layout testing (DEV_SETTINGS.testing.fakeLanguage)
+  'en-XA': {
+    name: 'Pseudo (accented)',
+    native: '[Ƥšéúðó]',
+    code: 'en-XA',
+    rtl: false,
+    flag: '🧪',
+    direction: 'ltr',
+    dateFormat: 'MM/DD/YYYY',
+    timeFormat: '12h',
+    currency: 'USD',
+    locale: 'en-XA',
+    pseudo: { source: 'en', mirrored: false }
+  },
+  
+  'ar-XB': {
+    name: 'Pseudo (mirrored RTL)',
+    native: '[Ƥšéúðó-ŔŢĻ]',
+    code: 'ar-XB',
+    rtl: true,
+    flag: '🧪',
+    direction: 'rtl',
+    dateFormat: 'DD/MM/YYYY',
+    timeFormat: '24h',
+    currency: 'USD',
+    locale: 'ar-XB',
+    pseudo: { source: 'en', mirrored: true }
   }
 };
 
@@ -158,9 +199,52 @@ export const getDirection = (code) => {
   return SUPPORTED_LANGUAGES[code]?.direction || 'ltr';
 };
 
-export const getActiveLanguages = () => {
-  // Return only languages that have translation files
-  return ['en', 'ar']; // Currently only English and Arabic are active
+export const getBaseLanguage = (code) => {
+  // "ar-SA" → "ar", "en_US" → "en"
+  return String(code || '').split(/[-_]/)[0].toLowerCase();
+};
+
+export const getLanguageScript = (code) => {
+  // Likely script subtag ("ar" → "Arab"), used to rank nearest matches
+  try {
+    return new Intl.Locale(String(code).replace('_', '-')).maximize().script || null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Catalog status per language from localization/languages/manifest.json
+// (tools/build-manifest.mjs); registered by the engine and the command-line tools
+let languageManifest = {};
+
+// Languages that ship catalogs in localization/languages/; offered when the manifest is missing
+export const CATALOG_LANGUAGES = ['en', 'ar'];
+
+export const setLanguageManifest = (manifest) => {
+  languageManifest = (manifest && manifest.languages) || {};
+};
+
+export const getLanguageStatus = (code) => {
+  // 'stable', 'beta' or 'hidden'; null when the manifest lists no catalog for it
+  return languageManifest[code]?.status || null;
+};
+
+export const getActiveLanguages = ({ includeBeta = true } = {}) => {
+  // Languages whose catalogs are complete enough to offer (beta ones flagged in the UI);
+  // without a manifest (not built or unreachable) the languages that ship catalogs
+  if (Object.keys(languageManifest).length === 0) {
+    return CATALOG_LANGUAGES.filter(code => SUPPORTED_LANGUAGES[code]);
+  }
+  
+  const active = Object.keys(languageManifest).filter(code => SUPPORTED_LANGUAGES[code] && (
+    languageManifest[code].status === 'stable' || (includeBeta && languageManifest[code].status === 'beta')
+  ));
+  return active.length > 0 ? active : [DEFAULT_LANGUAGE];
+};
+
+export const getPseudoLanguages = () => {
+  // Pseudo-locales built on the fly from their source language
+  return Object.keys(SUPPORTED_LANGUAGES).filter(code => SUPPORTED_LANGUAGES[code].pseudo);
 };
 
 export const getFutureLanguages = () => {
@@ -3,8 +3,45 @@
  * Core localization system for international expansion
  */
 
-import { SUPPORTED_LANGUAGES, getLanguageInfo, isRTL, getDirection } from '../config/supported-languages.js';
-import { LOCALIZATION_SETTINGS, PERFORMANCE_SETTINGS } from '../config/settings.js';
+import { SUPPORTED_LANGUAGES, getLanguageInfo, isRTL, getDirection, getBaseLanguage, getLanguageScript, getActiveLanguages, getPseudoLanguages, setLanguageManifest } from '../config/supported-languages.js';
+import { LOCALIZATION_SETTINGS, PERFORMANCE_SETTINGS, RTL_SETTINGS, ERROR_SETTINGS, DEV_SETTINGS, UI_SETTINGS } from '../config/settings.js';
+import { MessageFormat } from '../utils/message-format.js';
+import { LocaleFormatter } from '../utils/formatters.js';
+import { CatalogUtils } from '../utils/catalog.js';
+import { DOMHelpers } from '../utils/dom-helpers.js';
+import { HTMLSanitizer } from '../utils/html-sanitizer.js';
+import { BidiUtils } from '../utils/bidi.js';
+import { SEOHead } from '../utils/seo-head.js';
+import { PseudoLocale } from '../utils/pseudo-locale.js';
+import { TranslationReport } from '../utils/translation-report.js';
+import { LanguageDetector } from '../utils/language-detector.js';
+import { TranslationLoader, TranslationLoadError } from '../utils/translation-loader.js';
+import { TranslationCache } from '../utils/translation-cache.js';
+import { HotReloadClient } from '../utils/hot-reload.js';
+
+// Attributes that mark an element for translation
+const I18N_ATTRIBUTES = [
+  'data-i18n',
+  'data-i18n-attr',
+  'data-i18n-html',
+  'data-i18n-args',
+  'data-i18n-placeholder',
+  'data-i18n-value',
+  'data-i18n-title',
+  'data-i18n-number',
+  'data-i18n-date',
+  'data-i18n-date-dual',
+  'data-i18n-currency',
+  'data-i18n-relative-time'
+];
+const I18N_SELECTOR = I18N_ATTRIBUTES.map(attribute => `[${attribute}]`).join(',');
+
+// Legacy single-attribute bindings, equivalent to data-i18n-attr="<attribute>:<key>"
+const ATTRIBUTE_SHORTHANDS = {
+  'data-i18n-placeholder': 'placeholder',
+  'data-i18n-value': 'value',
+  'data-i18n-title': 'title'
+};
 
 class LocalizationEngine {
   constructor() {
@@ -12,6 +49,37 @@ class LocalizationEngine {
     this.previousLanguage = null;
     this.translations = new Map();
     this.cache = new Map();
+    this.catalogConflicts = new Map();
+    this.pageNamespaces = this.getPageNamespaces();
+    this.loadedNamespaces = new Map();
+    this.formatPreferences = this.loadFormatPreferences();
+    this.fallbackRecords = new Map();
+    this.report = new TranslationReport();
+    this.languageRequestId = 0;
+    this.manifestPromise = null;
+    this.manifest = undefined; // Not fetched yet; null when unavailable
+    this.unverifiedCatalogs = new Map(); // url → cached version served before the manifest arrived
+    this.navigatingTo = null;
+    this.liveRegion = null;
+    this.announceTimer = null;
+    this.persistentCache = PERFORMANCE_SETTINGS.cache.enabled && PERFORMANCE_SETTINGS.cache.persistent
+      ? new TranslationCache({
+          dbName: PERFORMANCE_SETTINGS.cache.dbName,
+          storageKeyPrefix: PERFORMANCE_SETTINGS.cache.storageKeyPrefix,
+          maxSize: PERFORMANCE_SETTINGS.cache.maxSize,
+          compression: PERFORMANCE_SETTINGS.cache.compression
+        })
+      : null;
+    this.loadController = null;
+    this.hotReload = null;
+    this.languageDetector = new LanguageDetector({
+      order: LOCALIZATION_SETTINGS.language.detection.order,
+      available: this.getAvailableLanguages(),
+      settings: LOCALIZATION_SETTINGS.language
+    });
+    this.observer = null;
+    this.pendingRoots = new Set();
+    this.pendingFrame = null;
     this.isInitialized = false;
     this.eventListeners = new Map();
     
@@ -37,18 +105,43 @@ class LocalizationEngine {
     try {
       console.log('🚀 Initializing Marln Localization Engine...');
       
-      // Load default language
-      await this.loadLanguage(this.currentLanguage);
+      // The manifest (active languages, catalog versions) is revalidated in the background:
+      // cached catalogs render right away and are reloaded if it reports newer ones
+      this.loadManifest();
+      
+      // Resolve the visitor's language (URL, cookie, storage, browser, ...)
+      const detected = this.detectLanguage();
+      const initialLanguages = [this.currentLanguage, detected ? detected.language : null].filter(Boolean);
+      
+      // Load default and detected languages together, from the persistent cache when possible
+      const languages = [...new Set(initialLanguages)];
+      const results = await Promise.allSettled(languages.map(code => this.loadLanguage(code)));
+      
+      results.forEach((result, index) => {
+        if (result.status === 'fulfilled') return;
+        // Without the default language there is nothing to show
+        if (languages[index] === this.currentLanguage) throw result.reason;
+        // A detected language that fails to load leaves the page in the default one
+        this.handleError(result.reason);
+      });
+      
+      // Pages written by tools/prerender.mjs already contain this language's content
+      const prerendered = this.getPrerenderedLanguage();
       
-      // Load user's saved language preference
-      const savedLanguage = this.getSavedLanguage();
-      if (savedLanguage && savedLanguage !== this.currentLanguage) {
-        await this.setLanguage(savedLanguage);
+      if (prerendered && detected && detected.language === prerendered) {
+        this.adoptPrerenderedLanguage(prerendered);
+      } else if (detected && detected.language !== this.currentLanguage && this.translations.has(detected.language)) {
+        // Path routing: a remembered or negotiated language has its own URL, so go there
+        // rather than render it under the default language's URL; query routing shows it in place
+        await this.setLanguage(detected.language, { navigate: LOCALIZATION_SETTINGS.language.routing === 'path' });
       }
       
+      // Leaving for the language's own page: nothing else to set up here
+      if (this.navigatingTo) return;
+      
       // Preload active languages
       if (PERFORMANCE_SETTINGS.loading.lazy) {
-        this.preloadLanguages(PERFORMANCE_SETTINGS.loading.preload);
+        this.preloadLanguages(PERFORMANCE_SETTINGS.loading.preload || getActiveLanguages({ includeBeta: false }));
       }
       
       // Set up event listeners
@@ -57,11 +150,31 @@ class LocalizationEngine {
       // Initialize RTL support
       this.initializeRTL();
       
+      // Screen reader announcements; a switch that loaded this page is announced here
+      if (UI_SETTINGS.accessibility.announceLanguageChange) {
+        this.getLiveRegion();
+        this.announcePendingSwitch();
+      }
+      
+      // Translate content inserted after load (opt-in)
+      if (LOCALIZATION_SETTINGS.dom.observeMutations) {
+        this.startObserver();
+      }
+      
+      // Pick up catalog edits from tools/dev-server.mjs
+      this.setupHotReload();
+      
+      // Now that the page is rendered, swap in any catalogs the manifest reports as newer
+      this.loadManifest().then(manifest => this.revalidateCachedCatalogs(manifest));
+      
       this.isInitialized = true;
       console.log('✅ Localization Engine initialized successfully');
       
       // Emit ready event
-      this.emit('ready', { language: this.currentLanguage });
+      this.emit('ready', {
+        language: this.currentLanguage,
+        detector: detected ? detected.detector : null
+      });
       
     } catch (error) {
       console.error('❌ Failed to initialize Localization Engine:', error);
@@ -71,9 +184,20 @@ class LocalizationEngine {
 
   /**
    * Load language translations
+   * With a namespace list only those bundles are fetched; null loads the full catalogs.
+   * Every request of one load shares the deadline, retries and fallbacks included.
+   * Failures reject with a TranslationLoadError carrying the reason
    */
-  async loadLanguage(languageCode) {
+  async loadLanguage(languageCode, { signal = null, namespaces = this.pageNamespaces, deadline = Date.now() + PERFORMANCE_SETTINGS.loading.budget } = {}) {
     try {
+      if (getLanguageInfo(languageCode)?.pseudo) {
+        return await this.loadPseudoLanguage(languageCode, { signal, namespaces, deadline });
+      }
+      
+      if (namespaces) {
+        return await this.loadNamespaces(languageCode, namespaces, signal, deadline);
+      }
+      
       // Check cache first
       if (this.cache.has(languageCode)) {
         const cached = this.cache.get(languageCode);
@@ -84,15 +208,11 @@ class LocalizationEngine {
         }
       }
       
-      // Load from file
+      // Load from every configured catalog source (persistent cache first)
       const startTime = performance.now();
-      const response = await fetch(`/localization/languages/${languageCode}.json`);
+      const sources = await this.fetchCatalogSources(languageCode, signal, deadline);
       
-      if (!response.ok) {
-        throw new Error(`Failed to load language: ${languageCode}`);
-      }
-      
-      const translations = await response.json();
+      const translations = this.resolveCatalog(languageCode, sources);
       
       // Cache the translations
       this.cache.set(languageCode, {
@@ -102,6 +222,7 @@ class LocalizationEngine {
       
       // Store in memory
       this.translations.set(languageCode, translations);
+      this.loadedNamespaces.set(languageCode, new Set(['*']));
       
       // Update performance metrics
       this.performanceMetrics.loadTime = performance.now() - startTime;
@@ -110,355 +231,1412 @@ class LocalizationEngine {
       return translations;
       
     } catch (error) {
-      console.error(`❌ Failed to load language ${languageCode}:`, error);
-      
-      // Fallback to default language
-      if (languageCode !== LOCALIZATION_SETTINGS.language.fallbackLanguage) {
-        console.log(`🔄 Falling back to ${LOCALIZATION_SETTINGS.language.fallbackLanguage}`);
-        return this.loadLanguage(LOCALIZATION_SETTINGS.language.fallbackLanguage);
-      }
-      
-      throw error;
+      // A cancelled load is not a failure
+      if (error.reason === 'aborted') {
+        throw error;
+      }
+      
+      console.error(`❌ Failed to load language ${languageCode}:`, error);
+      
+      // Callers decide what to show instead (setLanguage keeps the current language)
+      if (error instanceof TranslationLoadError) {
+        throw error;
+      }
+      throw new TranslationLoadError(`Failed to load language: ${languageCode}`, {
+        reason: error.reason || 'unknown',
+        cause: error
+      });
+    }
+  }
+
+  /**
+   * Languages the visitor can pick: the active ones plus, when
+   * DEV_SETTINGS.testing.fakeLanguage is on, the pseudo-locales
+   */
+  getAvailableLanguages() {
+    const { fakeLanguage } = DEV_SETTINGS.testing;
+    if (!fakeLanguage) return getActiveLanguages();
+    
+    const pseudo = Array.isArray(fakeLanguage)
+      ? getPseudoLanguages().filter(code => fakeLanguage.includes(code))
+      : getPseudoLanguages();
+    
+    return [...getActiveLanguages(), ...pseudo];
+  }
+
+  /**
+   * Generate a pseudo-locale (en-XA, ar-XB) from its source language
+   * Regenerated whenever the source gains namespaces
+   */
+  async loadPseudoLanguage(languageCode, { signal = null, namespaces = this.pageNamespaces, deadline } = {}) {
+    const { source, mirrored } = getLanguageInfo(languageCode).pseudo;
+    const sourceTranslations = await this.loadLanguage(source, { signal, namespaces, deadline });
+    
+    const translations = PseudoLocale.generateCatalog(sourceTranslations, {
+      expansion: DEV_SETTINGS.testing.pseudoExpansion,
+      mirrored
+    });
+    
+    this.translations.set(languageCode, translations);
+    this.loadedNamespaces.set(languageCode, new Set(this.loadedNamespaces.get(source)));
+    
+    console.log(`🧪 Pseudo-locale generated: ${languageCode} (from ${source})`);
+    return translations;
+  }
+
+  /**
+   * Connect to the dev server's change stream (localhost, or DEV_SETTINGS.hotReload.enabled)
+   */
+  setupHotReload() {
+    const settings = DEV_SETTINGS.hotReload;
+    if (this.hotReload || (!settings.enabled && !HotReloadClient.isLocalDevelopment())) return;
+    
+    this.hotReload = new HotReloadClient({
+      url: settings.endpoint,
+      onCatalog: ({ language }) => this.reloadLanguage(language)
+    });
+    
+    if (this.hotReload.connect()) {
+      console.log(`🔥 Hot reload listening on ${settings.endpoint}`);
+    }
+  }
+
+  /**
+   * Drop every cached copy of a language and, when the page shows it (directly,
+   * as a pseudo-locale source or as a fallback), reload it and re-render in place
+   * keepManifest: the manifest is current (background revalidation), don't refetch it
+   */
+  async reloadLanguage(languageCode, { keepManifest = false } = {}) {
+    try {
+      const urls = this.getCatalogUrls(languageCode);
+      
+      // Reload the current language with the same namespaces it had
+      const current = this.currentLanguage;
+      const currentNamespaces = this.loadedNamespaces.get(current);
+      const reloadNamespaces = !currentNamespaces || currentNamespaces.has('*') ? null : [...currentNamespaces];
+      
+      // Memory, manifest and persistent caches
+      const derived = getPseudoLanguages().filter(code => getLanguageInfo(code).pseudo.source === languageCode);
+      [languageCode, ...derived].forEach(code => {
+        this.cache.delete(code);
+        this.translations.delete(code);
+        this.loadedNamespaces.delete(code);
+      });
+      if (!keepManifest) {
+        this.manifestPromise = null;
+        this.manifest = undefined;
+      }
+      if (this.persistentCache) {
+        await Promise.all(urls.map(url => this.persistentCache.delete(url)));
+      }
+      
+      const affected = current === languageCode
+        || derived.includes(current)
+        || this.getFallbackChain(current).includes(languageCode);
+      
+      if (affected) {
+        await this.loadLanguage(current, { namespaces: reloadNamespaces });
+        await this.loadFallbackLanguages(current);
+        await this.updatePage();
+      }
+      
+      console.log(`🔥 Reloaded ${languageCode} translations${affected ? '' : ' (not shown on this page)'}`);
+      this.emit('languageReloaded', { language: languageCode, rendered: affected });
+      
+    } catch (error) {
+      console.error(`❌ Failed to reload ${languageCode}:`, error);
+      this.handleError(error);
+    }
+  }
+
+  /**
+   * Catalog URLs a language has been loaded from: its full sources plus loaded namespace bundles
+   */
+  getCatalogUrls(languageCode) {
+    const namespaces = [...(this.loadedNamespaces.get(languageCode) || [])].filter(namespace => namespace !== '*');
+    return [
+      ...LOCALIZATION_SETTINGS.catalog.sources.map(pattern => pattern.replace('{lang}', languageCode)),
+      ...namespaces.map(namespace => this.getNamespaceUrl(languageCode, namespace))
+    ];
+  }
+
+  /**
+   * Language a page was pre-rendered in (<html data-i18n-prerendered="ar">), or null
+   */
+  getPrerenderedLanguage() {
+    const language = document.documentElement.getAttribute('data-i18n-prerendered');
+    return language && SUPPORTED_LANGUAGES[language] ? language : null;
+  }
+
+  /**
+   * Take over a pre-rendered page without re-translating it; only values the
+   * build step leaves alone (numbers, dates, currencies) are formatted
+   */
+  adoptPrerenderedLanguage(languageCode) {
+    this.previousLanguage = this.currentLanguage;
+    this.currentLanguage = languageCode;
+    
+    this.withObserverPaused(() => this.updateFormattedValues(document));
+    this.updateRTL();
+    this.saveLanguage(languageCode);
+    
+    console.log(`⚡ Using pre-rendered ${languageCode} content`);
+  }
+
+  /**
+   * Fetch the namespace bundles a language is still missing and merge them into its catalog
+   * Falls back to the full catalogs when bundles are not deployed, within the same deadline
+   */
+  async loadNamespaces(languageCode, namespaces, signal = null, deadline = null) {
+    if (this.isLanguageLoaded(languageCode, namespaces)) {
+      this.performanceMetrics.cacheHitRate++;
+      return this.translations.get(languageCode);
+    }
+    
+    const startTime = performance.now();
+    const loaded = this.loadedNamespaces.get(languageCode) || new Set();
+    const missing = namespaces.filter(namespace => !loaded.has(namespace));
+    let bundles;
+    
+    try {
+      bundles = await Promise.all(missing.map(async (namespace) => {
+        try {
+          return { name: namespace, data: await this.fetchCatalogSource(this.getNamespaceUrl(languageCode, namespace), signal, deadline) };
+        } catch (error) {
+          // An unknown page namespace is a typo, not a reason to download everything
+          if (error.status === 404 && namespace !== LOCALIZATION_SETTINGS.catalog.namespaces.shared) {
+            console.warn(`⚠️ Unknown translation namespace "${namespace}" for ${languageCode}`);
+            return { name: namespace, data: null };
+          }
+          throw error;
+        }
+      }));
+    } catch (error) {
+      // Timeouts, network and server errors would hit the full catalogs just the same
+      if (error.reason === 'aborted' || TranslationLoader.isRetryable(error)) {
+        throw error;
+      }
+      console.warn(`⚠️ Namespace bundles unavailable for ${languageCode} (${error.reason}); loading full catalogs`);
+      return this.loadLanguage(languageCode, { signal, namespaces: null, deadline });
+    }
+    
+    // Bundles hold disjoint top-level keys, so merged keys resolve across namespaces.
+    // Re-read state here: another load for this language may have finished meanwhile.
+    const { catalog } = CatalogUtils.merge([
+      { name: 'loaded', data: this.translations.get(languageCode) },
+      ...bundles
+    ]);
+    const loadedNow = this.loadedNamespaces.get(languageCode) || new Set();
+    missing.forEach(namespace => loadedNow.add(namespace));
+    
+    this.loadedNamespaces.set(languageCode, loadedNow);
+    this.translations.set(languageCode, catalog);
+    this.performanceMetrics.loadTime = performance.now() - startTime;
+    
+    console.log(`📚 Namespaces loaded for ${languageCode}: ${missing.join(', ')}`);
+    return catalog;
+  }
+
+  /**
+   * Namespaces declared by the page: <html data-i18n-ns="index,partners">
+   * Returns null (load full catalogs) when the page declares none
+   */
+  getPageNamespaces() {
+    const declared = typeof document !== 'undefined'
+      ? document.documentElement.getAttribute('data-i18n-ns')
+      : null;
+    
+    if (declared === null) {
+      return null;
+    }
+    
+    const namespaces = declared.split(',').map(namespace => namespace.trim()).filter(Boolean);
+    return [...new Set([LOCALIZATION_SETTINGS.catalog.namespaces.shared, ...namespaces])];
+  }
+
+  /**
+   * URL of one namespace bundle
+   */
+  getNamespaceUrl(languageCode, namespace) {
+    return LOCALIZATION_SETTINGS.catalog.namespaces.path
+      .replace('{lang}', languageCode)
+      .replace('{ns}', namespace);
+  }
+
+  /**
+   * Whether a language's catalog already contains the given namespaces
+   */
+  isLanguageLoaded(languageCode, namespaces = this.pageNamespaces) {
+    if (!this.translations.has(languageCode)) return false;
+    
+    const loaded = this.loadedNamespaces.get(languageCode);
+    return !namespaces || !loaded || loaded.has('*') || namespaces.every(namespace => loaded.has(namespace));
+  }
+
+  /**
+   * Load extra namespaces on demand (e.g. for a dialog) and re-render the page
+   * They are also loaded for any language switched to later
+   */
+  async requireNamespaces(namespaces, languageCode = this.currentLanguage) {
+    const requested = Array.isArray(namespaces) ? namespaces : [namespaces];
+    
+    // Full catalogs already contain every namespace
+    if (!this.pageNamespaces) {
+      return this.translations.get(languageCode);
+    }
+    
+    this.pageNamespaces = [...new Set([...this.pageNamespaces, ...requested])];
+    const translations = await this.loadLanguage(languageCode);
+    
+    if (this.isInitialized && languageCode === this.currentLanguage) {
+      await this.updatePage();
+    }
+    
+    this.emit('namespacesLoaded', { language: languageCode, namespaces: requested });
+    return translations;
+  }
+
+  /**
+   * Fetch all catalog sources for a language, skipping ones that are missing
+   * Throws a TranslationLoadError when no source could be loaded
+   */
+  async fetchCatalogSources(languageCode, signal = null, deadline = null) {
+    const urls = LOCALIZATION_SETTINGS.catalog.sources.map(pattern => pattern.replace('{lang}', languageCode));
+    const errors = [];
+    
+    const results = await Promise.all(urls.map(async (url) => {
+      try {
+        return { name: url, data: await this.fetchCatalogSource(url, signal, deadline) };
+      } catch (error) {
+        errors.push(error);
+        return null;
+      }
+    }));
+    
+    const sources = results.filter(Boolean);
+    const aborted = errors.find(error => error.reason === 'aborted');
+    
+    if (aborted) {
+      throw aborted;
+    }
+    
+    if (sources.length === 0) {
+      // Report the most telling failure: anything other than a plain 404
+      const cause = errors.find(error => error.status !== 404) || errors[0];
+      throw new TranslationLoadError(`Failed to load language: ${languageCode}`, {
+        reason: cause && cause.status !== 404 ? cause.reason : 'not-found',
+        url: cause ? cause.url : null,
+        status: cause ? cause.status : null,
+        attempts: cause ? cause.attempts : 1,
+        cause
+      });
+    }
+    
+    errors.forEach(error => {
+      if (error.status !== 404) {
+        console.warn(`⚠️ Could not load catalog source ${error.url} (${error.reason}):`, error);
+      }
+    });
+    
+    return sources;
+  }
+
+  /**
+   * Load one catalog source, serving it from the persistent cache when the
+   * manifest version matches and revalidating with If-None-Match otherwise.
+   * Before the manifest arrives a fresh cached copy is served unchecked and
+   * verified by revalidateCachedCatalogs() once it does
+   */
+  async fetchCatalogSource(url, signal = null, deadline = null) {
+    const cached = this.persistentCache ? await this.persistentCache.get(url) : null;
+    const isFresh = cached && Date.now() - cached.storedAt < PERFORMANCE_SETTINGS.cache.expiry;
+    
+    if (cached && isFresh && this.manifest === undefined) {
+      this.unverifiedCatalogs.set(url, cached.version);
+      this.performanceMetrics.cacheHitRate++;
+      return cached.data;
+    }
+    
+    const manifest = await this.loadManifest();
+    const version = manifest && manifest.files ? manifest.files[url] || null : null;
+    
+    // Same content version as the manifest: no network needed
+    if (cached && isFresh && version && cached.version === version) {
+      this.performanceMetrics.cacheHitRate++;
+      return cached.data;
+    }
+    
+    try {
+      const response = await TranslationLoader.fetchCatalog(url, {
+        timeout: PERFORMANCE_SETTINGS.loading.timeout,
+        retries: PERFORMANCE_SETTINGS.loading.retries,
+        retryDelay: PERFORMANCE_SETTINGS.loading.retryDelay,
+        etag: cached ? cached.etag : null,
+        signal,
+        deadline
+      });
+      
+      if (response.status === 304 && cached) {
+        this.performanceMetrics.cacheHitRate++;
+        this.persistentCache.refresh(url, cached, { version, etag: response.etag });
+        return cached.data;
+      }
+      
+      if (this.persistentCache) {
+        this.persistentCache.set(url, { data: response.data, version, etag: response.etag });
+      }
+      return response.data;
+      
+    } catch (error) {
+      // Offline or server trouble: a stale copy beats no translation at all
+      if (cached && error.reason !== 'aborted' && error.status !== 404) {
+        console.warn(`⚠️ Using cached copy of ${url} (${error.reason})`);
+        return cached.data;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Load the translations manifest (content versions per catalog file and
+   * per-language status) once per page; it also decides the active languages
+   */
+  loadManifest() {
+    if (!LOCALIZATION_SETTINGS.catalog.manifest) {
+      this.manifest = null;
+      return Promise.resolve(null);
+    }
+    
+    if (!this.manifestPromise) {
+      this.manifestPromise = TranslationLoader.fetchJSON(LOCALIZATION_SETTINGS.catalog.manifest, {
+        timeout: PERFORMANCE_SETTINGS.loading.timeout,
+        cache: 'no-cache'
+      }).catch(error => {
+        console.warn(`⚠️ Translations manifest unavailable (${error.reason}); revalidating catalogs with ETags`);
+        return null;
+      }).then(manifest => {
+        this.manifest = manifest;
+        setLanguageManifest(manifest);
+        this.languageDetector.setAvailableLanguages(this.getAvailableLanguages());
+        return manifest;
+      });
+    }
+    
+    return this.manifestPromise;
+  }
+
+  /**
+   * Reload languages whose cached catalogs, served before the manifest arrived,
+   * have a newer version in it
+   */
+  revalidateCachedCatalogs(manifest) {
+    const outdated = [...this.unverifiedCatalogs]
+      .filter(([url, version]) => manifest && manifest.files && manifest.files[url] && manifest.files[url] !== version)
+      .map(([url]) => url);
+    this.unverifiedCatalogs.clear();
+    
+    if (outdated.length === 0) return;
+    
+    const languages = [...this.translations.keys()]
+      .filter(code => !getLanguageInfo(code)?.pseudo)
+      .filter(code => this.getCatalogUrls(code).some(url => outdated.includes(url)));
+    
+    languages.forEach(code => {
+      console.log(`🔄 Cached ${code} translations are outdated; reloading`);
+      this.reloadLanguage(code, { keepManifest: true });
+    });
+  }
+
+  /**
+   * Clear in-memory and persistent translation caches
+   */
+  async clearCache() {
+    this.cache.clear();
+    this.manifestPromise = null;
+    this.manifest = undefined;
+    
+    if (this.persistentCache) {
+      await this.persistentCache.clear();
+    }
+  }
+
+  /**
+   * Merge flat and nested catalog sources into one resolved catalog
+   */
+  resolveCatalog(languageCode, sources) {
+    const { catalog, conflicts } = CatalogUtils.merge(sources);
+    this.catalogConflicts.set(languageCode, conflicts);
+    
+    if (conflicts.length > 0 && LOCALIZATION_SETTINGS.catalog.reportConflicts) {
+      console.warn(`⚠️ ${conflicts.length} translation conflict(s) in ${languageCode}:\n${CatalogUtils.describeConflicts(languageCode, conflicts)}`);
+    }
+    
+    return catalog;
+  }
+
+  /**
+   * Get conflicts found while merging catalog sources
+   */
+  getCatalogConflicts(languageCode = null) {
+    return this.catalogConflicts.get(languageCode || this.currentLanguage) || [];
+  }
+
+  /**
+   * Set current language
+   * With path routing an explicit switch (navigate) loads the /ar/... page instead
+   */
+  async setLanguage(languageCode, { navigate = true } = {}) {
+    // The most recent call wins: cancel loads still running for earlier calls
+    const requestId = ++this.languageRequestId;
+    if (this.loadController) {
+      this.loadController.abort();
+    }
+    const loadController = new AbortController();
+    this.loadController = loadController;
+    
+    const languageBeforeSwitch = this.currentLanguage;
+    
+    try {
+      if (!SUPPORTED_LANGUAGES[languageCode]) {
+        throw new Error(`Unsupported language: ${languageCode}`);
+      }
+      
+      // Hidden by the manifest (catalog below the completeness threshold)
+      if (!this.getAvailableLanguages().includes(languageCode)) {
+        throw new Error(`Language not available: ${languageCode}`);
+      }
+      
+      if (navigate && this.navigateToLanguage(languageCode)) {
+        return;
+      }
+      
+      const startTime = performance.now();
+      
+      // Load language (or the page's missing namespaces) if not already loaded
+      if (!this.isLanguageLoaded(languageCode)) {
+        await this.loadLanguage(languageCode, { signal: loadController.signal });
+      }
+      
+      // Make sure per-key fallbacks have a catalog to fall back to
+      await this.loadFallbackLanguages(languageCode);
+      
+      // A later setLanguage call started while we were loading
+      if (requestId !== this.languageRequestId) {
+        console.log(`⏭️ Language switch to ${languageCode} superseded`);
+        return;
+      }
+      
+      if (!this.translations.has(languageCode)) {
+        throw new Error(`No translations available for ${languageCode}`);
+      }
+      
+      // Store previous language
+      this.previousLanguage = languageBeforeSwitch;
+      this.currentLanguage = languageCode;
+      
+      // Update page content
+      await this.updatePage();
+      
+      // Update RTL support
+      this.updateRTL();
+      
+      // Tell screen reader users, in the language they just picked
+      this.announceLanguageChange(languageCode);
+      
+      // Save user preference
+      this.saveLanguage(languageCode);
+      
+      // Update performance metrics
+      this.performanceMetrics.languageSwitchTime = performance.now() - startTime;
+      
+      // Emit language change event
+      this.emit('languageChanged', {
+        from: this.previousLanguage,
+        to: languageCode,
+        switchTime: this.performanceMetrics.languageSwitchTime
+      });
+      
+      console.log(`🌍 Language changed to: ${languageCode}`);
+      
+    } catch (error) {
+      // Superseded switches fail quietly; the newer call reports its own outcome
+      if (requestId !== this.languageRequestId || error.reason === 'aborted') {
+        return;
+      }
+      
+      console.error(`❌ Failed to set language to ${languageCode}:`, error);
+      this.handleError(error);
+      
+      // Revert to previous language
+      this.currentLanguage = languageBeforeSwitch;
+      
+    } finally {
+      if (this.loadController === loadController) {
+        this.loadController = null;
+      }
+    }
+  }
+
+  /**
+   * Update page content with current language
+   */
+  async updatePage() {
+    try {
+      const translations = this.translations.get(this.currentLanguage);
+      if (!translations) {
+        throw new Error('No translations available for current language');
+      }
+      
+      // DOM writes below are the engine's own and must not re-trigger the observer
+      this.withObserverPaused(() => {
+        // Update HTML attributes
+        this.updateHTMLAttributes();
+        
+        // Update page content and bindings
+        this.translateSubtree(translations, document);
+        
+        // Update meta tags for SEO
+        this.updateMetaTags();
+      });
+      
+      console.log('📄 Page content updated successfully');
+      
+    } catch (error) {
+      console.error('❌ Failed to update page content:', error);
+      this.handleError(error);
+    }
+  }
+
+  /**
+   * Translate an element added after the page was rendered (e.g. a UI component)
+   */
+  translateElement(element) {
+    const translations = this.translations.get(this.currentLanguage);
+    if (!translations || !element) return;
+    
+    this.withObserverPaused(() => this.translateSubtree(translations, element));
+  }
+
+  /**
+   * Apply every data-i18n* binding inside a root (document or element)
+   */
+  translateSubtree(translations, root) {
+    // Update page content using data attributes
+    this.updateContentWithDataAttributes(translations, root);
+    
+    // Update locale-formatted numbers, dates and currency
+    this.updateFormattedValues(root);
+    
+    // Update attribute bindings (titles, placeholders, aria labels, ...)
+    this.updateAttributeBindings(translations, root);
+    
+    // Update opt-in rich text
+    this.updateRichTextBindings(translations, root);
+    
+    // Keep internal links on the current language prefix
+    this.updateInternalLinks(root);
+    
+    // Email/phone fields never flip with the page
+    this.updateInputDirection(root);
+  }
+
+  /**
+   * Rewrite same-site page links to the current language's path (path routing only)
+   */
+  updateInternalLinks(root = document) {
+    if (LOCALIZATION_SETTINGS.language.routing !== 'path') return;
+    
+    this.queryAll(root, 'a[href]').forEach(link => {
+      const href = link.getAttribute('href');
+      if (/^(#|[a-z][a-z0-9+.-]*:(?!\/\/))/i.test(href)) return;
+      
+      const url = new URL(href, window.location.href);
+      if (url.origin !== window.location.origin || !/(\.html?|\/)$/.test(url.pathname)) return;
+      
+      const localizedPath = this.getLocalizedPath(this.currentLanguage, url.pathname);
+      if (localizedPath !== url.pathname) {
+        link.setAttribute('href', localizedPath + url.search + url.hash);
+      }
+    });
+  }
+
+  /**
+   * Query a root including the root element itself
+   */
+  queryAll(root, selector) {
+    const matches = Array.from(root.querySelectorAll(selector));
+    if (root.nodeType === Node.ELEMENT_NODE && root.matches(selector)) {
+      matches.unshift(root);
+    }
+    return matches;
+  }
+
+  /**
+   * Update HTML attributes for language and direction
+   */
+  updateHTMLAttributes() {
+    const languageInfo = getLanguageInfo(this.currentLanguage);
+    
+    // Update HTML lang attribute
+    document.documentElement.lang = this.currentLanguage;
+    
+    // Update HTML dir attribute for RTL
+    if (isRTL(this.currentLanguage)) {
+      document.documentElement.dir = 'rtl';
+      document.documentElement.classList.add('rtl');
+      document.body.classList.add('rtl');
+    } else {
+      document.documentElement.dir = 'ltr';
+      document.documentElement.classList.remove('rtl');
+      document.body.classList.remove('rtl');
+    }
+    
+    // Add language-specific classes
+    document.documentElement.classList.add(`lang-${this.currentLanguage}`);
+    if (this.previousLanguage) {
+      document.documentElement.classList.remove(`lang-${this.previousLanguage}`);
+    }
+  }
+
+  /**
+   * Update content using data-i18n attributes
+   */
+  updateContentWithDataAttributes(translations, root = document) {
+    const elements = this.queryAll(root, '[data-i18n]');
+    
+    elements.forEach(element => {
+      const key = element.getAttribute('data-i18n');
+      const args = this.getElementArgs(element);
+      const translation = this.getTranslation(key, translations, args);
+      
+      if (translation) {
+        // Handle different element types
+        if (element.tagName === 'INPUT' || element.tagName === 'TEXTAREA') {
+          if (element.hasAttribute('placeholder')) {
+            element.placeholder = translation;
+          }
+        } else if (HTMLSanitizer.isHtmlKey(key)) {
+          // Only keys marked "...Html" may carry (allowlisted) markup
+          this.reportSanitized(key, DOMHelpers.updateElementText(element, translation, true));
+          this.isolateBidiText(element);
+        } else {
+          element.textContent = translation;
+          this.isolateBidiText(element);
+        }
+      }
+    });
+  }
+
+  /**
+   * Whether RTL_SETTINGS.bidi isolation applies to the current language
+   */
+  isBidiIsolationActive() {
+    return RTL_SETTINGS.bidi.enabled && isRTL(this.currentLanguage);
+  }
+
+  /**
+   * Wrap Latin runs (brands, emails, phone numbers) of translated text in <bdi>
+   */
+  isolateBidiText(element) {
+    if (this.isBidiIsolationActive() && RTL_SETTINGS.bidi.isolateLatinRuns) {
+      BidiUtils.isolateElement(element, RTL_SETTINGS.bidi);
+    }
+  }
+
+  /**
+   * Email, phone and URL fields stay left-to-right in every language
+   */
+  updateInputDirection(root = document) {
+    if (!RTL_SETTINGS.bidi.enabled) return;
+    
+    const selector = RTL_SETTINGS.bidi.ltrInputTypes.map(type => `input[type="${type}"]`).join(',');
+    if (!selector) return;
+    
+    this.queryAll(root, selector).forEach(input => input.setAttribute('dir', 'ltr'));
+  }
+
+  /**
+   * Update data-i18n-number, -date, -date-dual, -currency and -relative-time bindings
+   * The source value stays in the attribute so every language switch re-formats it
+   */
+  updateFormattedValues(root = document) {
+    const languageInfo = this.getFormattingInfo();
+    const bindings = [
+      { attribute: 'data-i18n-number', format: (value, options) => LocaleFormatter.formatNumber(value, languageInfo, options) },
+      { attribute: 'data-i18n-date', isDate: true, format: (value, options) => LocaleFormatter.formatDate(value, languageInfo, options) },
+      { attribute: 'data-i18n-date-dual', isDate: true, format: (value, options) => LocaleFormatter.formatDualDate(value, languageInfo, options) },
+      { attribute: 'data-i18n-currency', format: (value, options) => LocaleFormatter.formatCurrency(value, languageInfo, options) },
+      { attribute: 'data-i18n-relative-time', isDate: true, format: (value, options) => LocaleFormatter.formatRelativeTime(value, languageInfo, options) }
+    ];
+    
+    bindings.forEach(({ attribute, isDate, format }) => {
+      this.queryAll(root, `[${attribute}]`).forEach(element => {
+        const value = element.getAttribute(attribute);
+        const options = this.getElementFormatOptions(element);
+        
+        // Keep <time datetime> machine-readable for absolute dates; a date-only value is
+        // read as a local date, so it stays as written (toISOString could shift the day)
+        if (isDate && element.tagName === 'TIME') {
+          const date = LocaleFormatter.toDate(value);
+          if (date) {
+            element.setAttribute('datetime', /^\d{4}-\d{2}-\d{2}$/.test(value.trim()) ? value.trim() : date.toISOString());
+          }
+        }
+        
+        element.textContent = format(value, options);
+      });
+    });
+  }
+
+  /**
+   * Read Intl options from a data-i18n-options attribute
+   */
+  getElementFormatOptions(element) {
+    const rawOptions = element.getAttribute('data-i18n-options');
+    if (!rawOptions) return {};
+    
+    try {
+      return JSON.parse(rawOptions);
+    } catch (error) {
+      console.warn(`⚠️ Invalid data-i18n-options JSON on element:`, element, error);
+      return {};
+    }
+  }
+
+  /**
+   * Format a number with the current language's locale
+   */
+  formatNumber(value, options = {}) {
+    return LocaleFormatter.formatNumber(value, this.getFormattingInfo(), options);
+  }
+
+  /**
+   * Format a currency amount in the current language's currency
+   */
+  formatCurrency(value, options = {}) {
+    return LocaleFormatter.formatCurrency(value, this.getFormattingInfo(), options);
+  }
+
+  /**
+   * Format a date with the current language's locale and time format
+   */
+  formatDate(value, options = {}) {
+    return LocaleFormatter.formatDate(value, this.getFormattingInfo(), options);
+  }
+
+  /**
+   * Format a date in the current calendar followed by the dual calendar (Gregorian + Hijri)
+   */
+  formatDualDate(value, options = {}) {
+    return LocaleFormatter.formatDualDate(value, this.getFormattingInfo(), options);
+  }
+
+  /**
+   * Language info with the visitor's numbering system and calendar applied
+   */
+  getFormattingInfo(languageCode = this.currentLanguage) {
+    return { ...getLanguageInfo(languageCode), ...this.getFormatPreferences(languageCode) };
+  }
+
+  /**
+   * The visitor's numbering system / calendar overrides for a language (only allowed values)
+   */
+  getFormatPreferences(languageCode = this.currentLanguage) {
+    const languageInfo = getLanguageInfo(languageCode);
+    const stored = this.formatPreferences[languageCode] || {};
+    const preferences = {};
+    
+    if ((languageInfo.numberingSystems || []).includes(stored.numberingSystem)) {
+      preferences.numberingSystem = stored.numberingSystem;
+    }
+    if ((languageInfo.calendars || []).includes(stored.calendar)) {
+      preferences.calendar = stored.calendar;
+    }
+    
+    return preferences;
+  }
+
+  /**
+   * Override the numbering system and/or calendar for a language and re-render
+   * e.g. setFormatPreferences({ numberingSystem: 'latn', calendar: 'islamic-umalqura' })
+   * null restores the language default
+   */
+  async setFormatPreferences({ numberingSystem, calendar } = {}, languageCode = this.currentLanguage) {
+    const languageInfo = getLanguageInfo(languageCode);
+    const preferences = { ...(this.formatPreferences[languageCode] || {}) };
+    
+    if (numberingSystem !== undefined) {
+      if (numberingSystem !== null && !(languageInfo.numberingSystems || []).includes(numberingSystem)) {
+        throw new Error(`Unsupported numbering system for ${languageCode}: ${numberingSystem}`);
+      }
+      preferences.numberingSystem = numberingSystem;
+    }
+    
+    if (calendar !== undefined) {
+      if (calendar !== null && !(languageInfo.calendars || []).includes(calendar)) {
+        throw new Error(`Unsupported calendar for ${languageCode}: ${calendar}`);
+      }
+      preferences.calendar = calendar;
+    }
+    
+    Object.keys(preferences).forEach(name => preferences[name] === null && delete preferences[name]);
+    this.formatPreferences[languageCode] = preferences;
+    this.saveFormatPreferences();
+    
+    if (languageCode === this.currentLanguage && this.translations.has(languageCode)) {
+      await this.updatePage();
+    }
+    
+    console.log(`🔢 Format preferences for ${languageCode}:`, this.getFormatPreferences(languageCode));
+    this.emit('formatPreferencesChanged', { language: languageCode, preferences: this.getFormatPreferences(languageCode) });
+  }
+
+  /**
+   * Read stored format preferences ({ ar: { numberingSystem, calendar } })
+   * from localStorage, or from the cookie when storage is empty or blocked
+   */
+  loadFormatPreferences() {
+    const { localStorageKey, cookieName } = LOCALIZATION_SETTINGS.formatting;
+    let stored = null;
+    
+    try {
+      stored = localStorage.getItem(localStorageKey);
+    } catch (error) {
+      // Storage blocked (privacy mode): the cookie still carries the choice
+    }
+    
+    if (stored === null && typeof document !== 'undefined') {
+      const cookie = document.cookie.split(';').map(entry => entry.trim()).find(entry => entry.startsWith(`${cookieName}=`));
+      stored = cookie ? decodeURIComponent(cookie.slice(cookieName.length + 1)) : null;
+    }
+    
+    try {
+      const preferences = JSON.parse(stored || '{}');
+      return preferences && typeof preferences === 'object' ? preferences : {};
+    } catch (error) {
+      return {};
+    }
+  }
+
+  /**
+   * Persist format preferences like the language choice (localStorage + cookie)
+   * The cookie is written even when storage is blocked, so loadFormatPreferences() can fall back to it
+   */
+  saveFormatPreferences() {
+    const value = JSON.stringify(this.formatPreferences);
+    
+    try {
+      localStorage.setItem(LOCALIZATION_SETTINGS.formatting.localStorageKey, value);
+    } catch (error) {
+      console.warn('⚠️ Format preferences not saved to localStorage; keeping the cookie only:', error);
+    }
+    
+    try {
+      const expiryDate = new Date();
+      expiryDate.setFullYear(expiryDate.getFullYear() + 1);
+      document.cookie = `${LOCALIZATION_SETTINGS.formatting.cookieName}=${encodeURIComponent(value)}; expires=${expiryDate.toUTCString()}; path=/`;
+      
+    } catch (error) {
+      console.error('❌ Failed to save format preferences:', error);
+    }
+  }
+
+  /**
+   * Format relative time ("-3 day" or a date) in the current language
+   */
+  formatRelativeTime(value, options = {}) {
+    return LocaleFormatter.formatRelativeTime(value, this.getFormattingInfo(), options);
+  }
+
+  /**
+   * Update attribute bindings declared with data-i18n-attr
+   * e.g. data-i18n-attr="title:header.about; aria-label:header.about"
+   */
+  updateAttributeBindings(translations, root = document) {
+    const selector = ['[data-i18n-attr]', ...Object.keys(ATTRIBUTE_SHORTHANDS).map(name => `[${name}]`)].join(',');
+    
+    this.queryAll(root, selector).forEach(element => {
+      const bindings = DOMHelpers.parseAttributeBindings(element.getAttribute('data-i18n-attr'));
+      
+      // Shorthand attributes used by existing markup
+      Object.entries(ATTRIBUTE_SHORTHANDS).forEach(([shorthand, attribute]) => {
+        if (element.hasAttribute(shorthand)) {
+          bindings.push({ attribute, key: element.getAttribute(shorthand) });
+        }
+      });
+      
+      const args = this.getElementArgs(element);
+      bindings.forEach(({ attribute, key }) => {
+        const translation = this.getTranslation(key, translations, args);
+        if (typeof translation === 'string') {
+          DOMHelpers.updateElementAttribute(element, attribute, translation);
+        }
+      });
+    });
+  }
+
+  /**
+   * Update explicit rich-text bindings (data-i18n-html)
+   * Only elements that opt in receive markup; data-i18n always sets plain text
+   */
+  updateRichTextBindings(translations, root = document) {
+    this.queryAll(root, '[data-i18n-html]').forEach(element => {
+      const key = element.getAttribute('data-i18n-html');
+      const translation = this.getTranslation(key, translations, this.getElementArgs(element));
+      
+      if (typeof translation === 'string') {
+        this.reportSanitized(key, DOMHelpers.updateElementText(element, translation, true));
+        this.isolateBidiText(element);
+      }
+    });
+  }
+
+  /**
+   * Report markup stripped from a rich-text translation (debug mode only)
+   */
+  reportSanitized(key, removed) {
+    if (removed.length > 0 && LOCALIZATION_SETTINGS.development.debugMode) {
+      console.warn(`⚠️ Stripped disallowed markup from "${key}" (${this.currentLanguage}): ${removed.join(', ')}`);
+    }
+  }
+
+  /**
+   * Update meta tags for SEO
+   */
+  updateMetaTags() {
+    const translations = this.translations.get(this.currentLanguage);
+    const prefix = document.documentElement.getAttribute('data-i18n-meta');
+    
+    const head = SEOHead.build({
+      language: this.currentLanguage,
+      languages: getActiveLanguages(),
+      defaultLanguage: LOCALIZATION_SETTINGS.language.defaultLanguage,
+      getLocale: code => getLanguageInfo(code).locale,
+      getUrl: code => this.getLocalizedUrl(code),
+      title: prefix ? this.getTranslation(`${prefix}.title`, translations) : null,
+      description: prefix ? this.getTranslation(`${prefix}.description`, translations) : null,
+      settings: LOCALIZATION_SETTINGS.seo
+    });
+    
+    SEOHead.apply(document, head);
+  }
+
+  /**
+   * Absolute URL of the current page in a language (canonical and hreflang targets)
+   * The default language (x-default) maps to the unprefixed path
+   */
+  getLocalizedUrl(languageCode) {
+    const url = new URL(this.getLocalizedPath(languageCode), LOCALIZATION_SETTINGS.seo.siteUrl || window.location.origin);
+    
+    if (LOCALIZATION_SETTINGS.language.routing === 'query' && languageCode !== LOCALIZATION_SETTINGS.language.defaultLanguage) {
+      url.searchParams.set(LOCALIZATION_SETTINGS.language.urlParameter, languageCode);
+    }
+    
+    return url.toString();
+  }
+
+  /**
+   * Path without a language prefix (/ar/about-us.html → /about-us.html)
+   */
+  getUnprefixedPath(pathname = window.location.pathname) {
+    const segments = pathname.split('/');
+    return segments[1] && SUPPORTED_LANGUAGES[segments[1]] ? `/${segments.slice(2).join('/')}` : pathname;
+  }
+
+  /**
+   * Path of a page in a language: prefixed with path routing, unchanged with query routing
+   */
+  getLocalizedPath(languageCode, pathname = window.location.pathname) {
+    const path = this.getUnprefixedPath(pathname);
+    
+    if (LOCALIZATION_SETTINGS.language.routing !== 'path' || languageCode === LOCALIZATION_SETTINGS.language.defaultLanguage || getLanguageInfo(languageCode).pseudo) {
+      return path;
+    }
+    
+    return `/${languageCode}${path}`;
+  }
+
+  /**
+   * Move to the language's own page when path routing puts it elsewhere
+   * @returns {boolean} True when navigation started
+   */
+  navigateToLanguage(languageCode) {
+    // Pseudo-locales have no pages of their own; they render in place
+    if (LOCALIZATION_SETTINGS.language.routing !== 'path' || getLanguageInfo(languageCode)?.pseudo) return false;
+    
+    const url = new URL(window.location.href);
+    const targetPath = this.getLocalizedPath(languageCode);
+    if (targetPath === url.pathname) return false;
+    
+    this.saveLanguage(languageCode);
+    this.navigatingTo = languageCode;
+    url.pathname = targetPath;
+    url.searchParams.delete(LOCALIZATION_SETTINGS.language.urlParameter);
+    
+    // The new page announces the switch once it is ready
+    try {
+      sessionStorage.setItem(UI_SETTINGS.accessibility.sessionStorageKey, languageCode);
+    } catch (error) {
+      // Storage blocked: the page still loads, just without the announcement
     }
+    
+    console.log(`🌍 Navigating to ${languageCode} page: ${targetPath}`);
+    window.location.assign(url.toString());
+    return true;
   }
 
   /**
-   * Set current language
+   * Read ICU message values from a data-i18n-args attribute
    */
-  async setLanguage(languageCode) {
+  getElementArgs(element) {
+    const rawArgs = element.getAttribute('data-i18n-args');
+    if (!rawArgs) return null;
+    
     try {
-      if (!SUPPORTED_LANGUAGES[languageCode]) {
-        throw new Error(`Unsupported language: ${languageCode}`);
-      }
-      
-      const startTime = performance.now();
-      
-      // Store previous language
-      this.previousLanguage = this.currentLanguage;
-      this.currentLanguage = languageCode;
-      
-      // Load language if not already loaded
-      if (!this.translations.has(languageCode)) {
-        await this.loadLanguage(languageCode);
-      }
-      
-      // Update page content
-      await this.updatePage();
-      
-      // Update RTL support
-      this.updateRTL();
-      
-      // Save user preference
-      this.saveLanguage(languageCode);
-      
-      // Update performance metrics
-      this.performanceMetrics.languageSwitchTime = performance.now() - startTime;
-      
-      // Emit language change event
-      this.emit('languageChanged', {
-        from: this.previousLanguage,
-        to: languageCode,
-        switchTime: this.performanceMetrics.languageSwitchTime
-      });
-      
-      console.log(`🌍 Language changed to: ${languageCode}`);
-      
+      return JSON.parse(rawArgs);
     } catch (error) {
-      console.error(`❌ Failed to set language to ${languageCode}:`, error);
-      this.handleError(error);
-      
-      // Revert to previous language
-      this.currentLanguage = this.previousLanguage;
+      console.warn(`⚠️ Invalid data-i18n-args JSON on element:`, element, error);
+      return null;
     }
   }
 
   /**
-   * Update page content with current language
+   * Get translation by key
+   * Strings are formatted as ICU messages ({name}, plural, select, quoting) with the optional args
    */
-  async updatePage() {
+  getTranslation(key, translations = null, args = null) {
     try {
-      const translations = this.translations.get(this.currentLanguage);
-      if (!translations) {
-        throw new Error('No translations available for current language');
-      }
-      
-      // Update HTML attributes
-      this.updateHTMLAttributes();
+      const currentTranslations = this.translations.get(this.currentLanguage);
+      const trans = translations || currentTranslations;
+      if (!trans) return null;
       
-      // Update page content using data attributes
-      this.updateContentWithDataAttributes(translations);
+      let result = this.lookupKey(key, trans);
       
-      // Update navigation and menus
-      this.updateNavigation(translations);
+      // Per-key fallback only applies to the current language's catalog
+      if (result === null && trans === currentTranslations) {
+        result = this.resolveFallback(key, this.currentLanguage);
+        
+        if (result === null) {
+          this.reportMissing(key, this.currentLanguage, trans);
+        }
+      }
       
-      // Update forms and placeholders
-      this.updateForms(translations);
+      if (result === null) return null;
       
-      // Update meta tags for SEO
-      this.updateMetaTags();
+      if (typeof result === 'string') {
+        return MessageFormat.format(result, args || {}, LocaleFormatter.getLocale(this.getFormattingInfo()), {
+          isolate: this.isBidiIsolationActive() && RTL_SETTINGS.bidi.isolateArguments
+        });
+      }
       
-      console.log('📄 Page content updated successfully');
+      return result;
       
     } catch (error) {
-      console.error('❌ Failed to update page content:', error);
-      this.handleError(error);
+      console.error(`❌ Failed to get translation for key: ${key}`, error);
+      return null;
     }
   }
 
   /**
-   * Update HTML attributes for language and direction
+   * Overwrite one string in a loaded catalog (in-context editor previews)
+   * Nothing is saved; undefined removes the key. Call updatePage() to re-render
    */
-  updateHTMLAttributes() {
-    const languageInfo = getLanguageInfo(this.currentLanguage);
+  setTranslation(key, value, languageCode = this.currentLanguage) {
+    const translations = this.translations.get(languageCode);
+    if (!translations) {
+      throw new Error(`Language not loaded: ${languageCode}`);
+    }
     
-    // Update HTML lang attribute
-    document.documentElement.lang = this.currentLanguage;
+    const keys = key.split('.');
+    const last = keys.pop();
+    let target = translations;
     
-    // Update HTML dir attribute for RTL
-    if (isRTL(this.currentLanguage)) {
-      document.documentElement.dir = 'rtl';
-      document.documentElement.classList.add('rtl');
-      document.body.classList.add('rtl');
+    for (const k of keys) {
+      if (!target[k] || typeof target[k] !== 'object') {
+        target[k] = {};
+      }
+      target = target[k];
+    }
+    
+    if (value === undefined) {
+      delete target[last];
     } else {
-      document.documentElement.dir = 'ltr';
-      document.documentElement.classList.remove('rtl');
-      document.body.classList.remove('rtl');
+      target[last] = value;
     }
+    this.emit('translationEdited', { key, value, language: languageCode });
+  }
+
+  /**
+   * Walk a dotted key (e.g. "header.about") through a catalog
+   */
+  lookupKey(key, translations) {
+    const keys = key.split('.');
+    let result = translations;
     
-    // Add language-specific classes
-    document.documentElement.classList.add(`lang-${this.currentLanguage}`);
-    if (this.previousLanguage) {
-      document.documentElement.classList.remove(`lang-${this.previousLanguage}`);
+    for (const k of keys) {
+      if (result && typeof result === 'object' && k in result) {
+        result = result[k];
+      } else {
+        return null;
+      }
     }
+    
+    return result;
   }
 
   /**
-   * Update content using data-i18n attributes
+   * Resolve a missing key through the configured fallback strategy
    */
-  updateContentWithDataAttributes(translations) {
-    const elements = document.querySelectorAll('[data-i18n]');
+  resolveFallback(key, languageCode) {
+    if (!ERROR_SETTINGS.fallback.enabled) return null;
     
-    elements.forEach(element => {
-      const key = element.getAttribute('data-i18n');
-      const translation = this.getTranslation(key, translations);
+    const chain = this.getFallbackChain(languageCode).slice(1);
+    
+    for (const code of chain) {
+      const translations = this.translations.get(code);
+      const result = translations ? this.lookupKey(key, translations) : null;
       
-      if (translation) {
-        // Handle different element types
-        if (element.tagName === 'INPUT' || element.tagName === 'TEXTAREA') {
-          if (element.hasAttribute('placeholder')) {
-            element.placeholder = translation;
-          }
-        } else {
-          element.textContent = translation;
-        }
+      if (result !== null) {
+        this.recordFallback(key, languageCode, code);
+        return result;
       }
-    });
+    }
+    
+    return null;
   }
 
   /**
-   * Update navigation elements
+   * Build the ordered list of catalogs consulted for a language
+   * cascade: region variant → base language → fallback language (ar-SA → ar → en)
+   * default: requested language → fallback language
+   * nearest: requested language → best-matching loaded language → fallback language
    */
-  updateNavigation(translations) {
-    // Update header navigation
-    this.updateHeaderNavigation(translations);
+  getFallbackChain(languageCode) {
+    const fallbackLanguage = ERROR_SETTINGS.fallback.defaultLanguage;
+    let chain;
     
-    // Update mobile navigation
-    this.updateMobileNavigation(translations);
+    switch (ERROR_SETTINGS.fallback.strategy) {
+      case 'default':
+        chain = [languageCode, fallbackLanguage];
+        break;
+        
+      case 'nearest':
+        chain = [languageCode, ...this.rankLoadedLanguages(languageCode), fallbackLanguage];
+        break;
+        
+      case 'cascade':
+      default:
+        chain = [languageCode, getBaseLanguage(languageCode), fallbackLanguage];
+        break;
+    }
     
-    // Update dropdown menus
-    this.updateDropdownMenus(translations);
+    // Only languages with a loaded catalog can serve a key
+    return [...new Set(chain)].filter(code => code === languageCode || this.translations.has(code));
   }
 
   /**
-   * Update header navigation
+   * Rank loaded languages by closeness: same base language, then same script
    */
-  updateHeaderNavigation(translations) {
-    const headerElements = [
-      { selector: '#menu-item-680 a', key: 'header.about' },
-      { selector: '#menu-item-666 > a', key: 'header.services' },
-      { selector: '#menu-item-company > a', key: 'header.company' },
-      { selector: '#menu-item-contact a', key: 'header.contact' },
-      { selector: '#menu-item-1680 a', key: 'header.insights' }
-    ];
+  rankLoadedLanguages(languageCode) {
+    const base = getBaseLanguage(languageCode);
+    const script = getLanguageScript(languageCode);
     
-    headerElements.forEach(({ selector, key }) => {
-      const element = document.querySelector(selector);
-      if (element) {
-        const translation = this.getTranslation(key, translations);
-        if (translation) {
-          element.textContent = translation;
-        }
-      }
-    });
+    const score = (code) => {
+      if (getBaseLanguage(code) === base) return 2;
+      if (script && getLanguageScript(code) === script) return 1;
+      return 0;
+    };
+    
+    return Array.from(this.translations.keys())
+      .filter(code => code !== languageCode && score(code) > 0)
+      .sort((a, b) => score(b) - score(a));
   }
 
   /**
-   * Update mobile navigation
+   * Record that a key was served from another language
    */
-  updateMobileNavigation(translations) {
-    const mobileElements = [
-      { selector: '.mobile-menu-nav .mobile-menu-link[href*="about-us"]', key: 'header.about' },
-      { selector: '.mobile-menu-nav .mobile-dropdown-toggle[data-dropdown="services"] span', key: 'header.services' },
-      { selector: '.mobile-menu-nav .mobile-dropdown-toggle[data-dropdown="company"] span', key: 'header.company' },
-      { selector: '.mobile-menu-nav .mobile-menu-link.contact-scroll-btn', key: 'header.contact' }
-    ];
+  recordFallback(key, requestedLanguage, resolvedLanguage) {
+    const recordKey = `${requestedLanguage}:${key}`;
+    if (this.fallbackRecords.has(recordKey)) return;
     
-    mobileElements.forEach(({ selector, key }) => {
-      const element = document.querySelector(selector);
-      if (element) {
-        const translation = this.getTranslation(key, translations);
-        if (translation) {
-          element.textContent = translation;
-        }
-      }
+    this.fallbackRecords.set(recordKey, {
+      key,
+      requestedLanguage,
+      resolvedLanguage,
+      strategy: ERROR_SETTINGS.fallback.strategy,
+      timestamp: Date.now()
     });
+    
+    this.report.recordFallback(key, requestedLanguage, resolvedLanguage);
+    
+    if (ERROR_SETTINGS.logging.debug) {
+      console.log(`🔄 ${key}: ${requestedLanguage} → ${resolvedLanguage}`);
+    }
   }
 
   /**
-   * Update dropdown menus
+   * Record a key that no catalog in the fallback chain could resolve
    */
-  updateDropdownMenus(translations) {
-    // Services dropdown
-    this.updateServicesDropdown(translations);
+  reportMissing(key, languageCode, translations) {
+    if (!LOCALIZATION_SETTINGS.errors.logMissingTranslations) return;
     
-    // Company dropdown
-    this.updateCompanyDropdown(translations);
+    const partialMatches = this.findPartialMatches(key, translations);
+    const isNew = this.report.recordMissing(key, languageCode, partialMatches);
+    
+    if (partialMatches.length > 0) {
+      this.report.recordPartialMatch(key, languageCode, partialMatches);
+    }
+    
+    if (isNew && ERROR_SETTINGS.logging.warning) {
+      console.warn(`⚠️ Missing translation [${languageCode}]: ${key}`);
+    }
   }
 
   /**
-   * Update services dropdown
+   * Find shorter prefixes of a key that do exist (where the key path breaks)
    */
-  updateServicesDropdown(translations) {
-    const servicesDropdown = document.querySelector('.services-dropdown');
-    if (servicesDropdown) {
-      const items = servicesDropdown.querySelectorAll('li a');
-      const keys = [
-        'dropdown.services.aiConsulting',
-        'dropdown.services.engineering',
-        'dropdown.services.dataAnalytics',
-        'dropdown.services.corporateTraining'
-      ];
-      
-      items.forEach((item, index) => {
-        if (keys[index]) {
-          const translation = this.getTranslation(keys[index], translations);
-          if (translation) {
-            item.textContent = translation;
-          }
-        }
-      });
+  findPartialMatches(key, translations) {
+    const keys = key.split('.');
+    const matches = [];
+    
+    for (let i = keys.length - 1; i > 0; i--) {
+      const partialKey = keys.slice(0, i).join('.');
+      if (this.lookupKey(partialKey, translations) !== null) {
+        matches.push(partialKey);
+      }
     }
+    
+    return matches;
   }
 
   /**
-   * Update company dropdown
+   * Get the missing/fallback/partial translation report
    */
-  updateCompanyDropdown(translations) {
-    const companyDropdown = document.querySelector('.company-dropdown');
-    if (companyDropdown) {
-      const items = companyDropdown.querySelectorAll('li a');
-      const keys = [
-        'dropdown.company.profile',
-        'dropdown.company.csr',
-        'dropdown.company.partners',
-        'dropdown.company.industry'
-      ];
-      
-      items.forEach((item, index) => {
-        if (keys[index]) {
-          const translation = this.getTranslation(keys[index], translations);
-          if (translation) {
-            item.textContent = translation;
-          }
-        }
-      });
-    }
+  getMissingTranslations(filter = {}) {
+    return this.report.generateReport(filter);
+  }
+
+  /**
+   * Export the translation report as 'json' or 'csv'
+   */
+  exportMissingTranslations(format = 'json', filter = {}) {
+    return format === 'csv' ? this.report.exportToCSV(filter) : this.report.exportToJSON(filter);
+  }
+
+  /**
+   * Get recorded per-key fallbacks, optionally for one language
+   */
+  getFallbackRecords(languageCode = null) {
+    const records = Array.from(this.fallbackRecords.values());
+    return languageCode ? records.filter(record => record.requestedLanguage === languageCode) : records;
   }
 
   /**
-   * Update forms and placeholders
+   * Load every language the fallback chain may need
    */
-  updateForms(translations) {
-    // Contact form
-    this.updateContactForm(translations);
+  async loadFallbackLanguages(languageCode) {
+    if (!ERROR_SETTINGS.fallback.enabled) return;
     
-    // Other forms
-    this.updateOtherForms(translations);
+    const fallbackLanguage = ERROR_SETTINGS.fallback.defaultLanguage;
+    const needed = [getBaseLanguage(languageCode), fallbackLanguage]
+      .filter(code => code !== languageCode && SUPPORTED_LANGUAGES[code] && !this.isLanguageLoaded(code));
+    
+    await Promise.allSettled(needed.map(code => this.loadLanguage(code)));
   }
 
   /**
-   * Update contact form
+   * Watch for dynamically inserted [data-i18n*] content
    */
-  updateContactForm(translations) {
-    const formElements = [
-      { selector: 'input[name="your-name"]', key: 'common.namePlaceholder', attribute: 'placeholder' },
-      { selector: 'input[name="your-email"]', key: 'common.emailPlaceholder', attribute: 'placeholder' },
-      { selector: 'textarea[name="your-message"]', key: 'common.messagePlaceholder', attribute: 'placeholder' },
-      { selector: 'input[type="submit"]', key: 'common.sendMessage', attribute: 'value' }
-    ];
+  startObserver(root = document.querySelector(LOCALIZATION_SETTINGS.dom.observeRoot) || document.body) {
+    if (this.observer || typeof MutationObserver === 'undefined') return;
     
-    formElements.forEach(({ selector, key, attribute }) => {
-      const element = document.querySelector(selector);
-      if (element) {
-        const translation = this.getTranslation(key, translations);
-        if (translation) {
-          element.setAttribute(attribute, translation);
-        }
-      }
+    this.observer = new MutationObserver(records => this.handleMutations(records));
+    this.observer.observe(root, {
+      childList: true,
+      subtree: true,
+      attributes: true,
+      attributeFilter: I18N_ATTRIBUTES
     });
+    
+    console.log('👀 Observing dynamic content for translation');
   }
 
   /**
-   * Update other forms
+   * Stop watching for dynamic content
    */
-  updateOtherForms(translations) {
-    // Add other form updates here
+  stopObserver() {
+    if (this.observer) {
+      this.observer.disconnect();
+      this.observer = null;
+    }
+    
+    if (this.pendingFrame !== null) {
+      cancelAnimationFrame(this.pendingFrame);
+      this.pendingFrame = null;
+    }
+    this.pendingRoots.clear();
   }
 
   /**
-   * Update meta tags for SEO
+   * Queue roots from mutation records and translate them on the next frame
    */
-  updateMetaTags() {
-    const languageInfo = getLanguageInfo(this.currentLanguage);
+  handleMutations(records) {
+    records.forEach(record => {
+      if (record.type === 'attributes') {
+        this.pendingRoots.add(record.target);
+        return;
+      }
+      
+      record.addedNodes.forEach(node => {
+        if (node.nodeType === Node.ELEMENT_NODE &&
+            (node.matches(I18N_SELECTOR) || node.querySelector(I18N_SELECTOR))) {
+          this.pendingRoots.add(node);
+        }
+      });
+    });
     
-    // Update hreflang
-    const hreflang = document.querySelector('link[hreflang]');
-    if (hreflang) {
-      hreflang.hreflang = this.currentLanguage;
+    if (this.pendingRoots.size > 0 && this.pendingFrame === null) {
+      this.pendingFrame = requestAnimationFrame(() => this.flushPendingRoots());
     }
+  }
+
+  /**
+   * Translate queued roots in one batch
+   */
+  flushPendingRoots() {
+    this.pendingFrame = null;
+    const translations = this.translations.get(this.currentLanguage);
     
-    // Update language meta tag
-    const langMeta = document.querySelector('meta[name="language"]');
-    if (langMeta) {
-      langMeta.content = this.currentLanguage;
-    }
+    // Skip detached nodes and nodes already covered by another queued root
+    const roots = Array.from(this.pendingRoots).filter(node => (
+      node.isConnected &&
+      !Array.from(this.pendingRoots).some(other => other !== node && other.contains(node))
+    ));
+    this.pendingRoots.clear();
+    
+    if (!translations || roots.length === 0) return;
+    
+    this.withObserverPaused(() => {
+      roots.forEach(root => this.translateSubtree(translations, root));
+    });
   }
 
   /**
-   * Get translation by key
+   * Run DOM writes without the observer reacting to them
    */
-  getTranslation(key, translations = null) {
+  withObserverPaused(callback) {
+    if (!this.observer) {
+      return callback();
+    }
+    
+    // Keep mutations made by other scripts before our writes
+    this.handleMutations(this.observer.takeRecords());
+    
     try {
-      const trans = translations || this.translations.get(this.currentLanguage);
-      if (!trans) return null;
-      
-      // Split key by dots (e.g., "header.about")
-      const keys = key.split('.');
-      let result = trans;
-      
-      for (const k of keys) {
-        if (result && typeof result === 'object' && k in result) {
-          result = result[k];
-        } else {
-          return null;
-        }
-      }
-      
-      return result;
-      
-    } catch (error) {
-      console.error(`❌ Failed to get translation for key: ${key}`, error);
-      return null;
+      return callback();
+    } finally {
+      // Discard records produced by the engine itself
+      this.observer.takeRecords();
     }
   }
 
@@ -507,7 +1685,9 @@ class LocalizationEngine {
    */
   async preloadLanguages(languageCodes) {
     try {
-      const promises = languageCodes.map(code => this.loadLanguage(code));
+      // Never fetch catalogs the manifest hides
+      const available = this.getAvailableLanguages();
+      const promises = languageCodes.filter(code => available.includes(code)).map(code => this.loadLanguage(code));
       await Promise.allSettled(promises);
       console.log('📚 Languages preloaded successfully');
     } catch (error) {
@@ -516,63 +1696,146 @@ class LocalizationEngine {
   }
 
   /**
-   * Get saved language from storage
+   * Detect the visitor's language through the configured detector pipeline
    */
-  getSavedLanguage() {
+  detectLanguage() {
     try {
-      // Try localStorage first
-      const saved = localStorage.getItem(LOCALIZATION_SETTINGS.language.localStorageKey);
-      if (saved && SUPPORTED_LANGUAGES[saved]) {
-        return saved;
-      }
-      
-      // Try cookies
-      const cookies = document.cookie.split(';');
-      for (const cookie of cookies) {
-        const [name, value] = cookie.trim().split('=');
-        if (name === LOCALIZATION_SETTINGS.language.cookieName && SUPPORTED_LANGUAGES[value]) {
-          return value;
-        }
-      }
+      this.languageDetector.setAvailableLanguages(this.getAvailableLanguages());
+      const result = this.languageDetector.detect();
       
-      // Try URL parameter
-      const urlParams = new URLSearchParams(window.location.search);
-      const urlLang = urlParams.get(LOCALIZATION_SETTINGS.language.urlParameter);
-      if (urlLang && SUPPORTED_LANGUAGES[urlLang]) {
-        return urlLang;
+      if (result) {
+        console.log(`🔍 Language detected by "${result.detector}": ${result.candidate} → ${result.language}`);
+        this.emit('languageDetected', result);
       }
       
-      return null;
+      return result;
       
     } catch (error) {
-      console.error('❌ Failed to get saved language:', error);
+      console.error('❌ Failed to detect language:', error);
       return null;
     }
   }
 
+  /**
+   * Register a custom language detector (e.g. a server-provided hint)
+   */
+  registerDetector(name, detector, position = null) {
+    this.languageDetector.registerDetector(name, detector, position);
+  }
+
+  /**
+   * Get the result of the last detection ({ language, detector, candidate })
+   */
+  getDetectionResult() {
+    return this.languageDetector.lastResult;
+  }
+
   /**
    * Save language preference
    */
   saveLanguage(languageCode) {
     try {
-      // Save to localStorage
-      localStorage.setItem(LOCALIZATION_SETTINGS.language.localStorageKey, languageCode);
-      
-      // Save to cookies
-      const expiryDate = new Date();
-      expiryDate.setFullYear(expiryDate.getFullYear() + 1);
-      document.cookie = `${LOCALIZATION_SETTINGS.language.cookieName}=${languageCode}; expires=${expiryDate.toUTCString()}; path=/`;
+      if (LOCALIZATION_SETTINGS.language.rememberUserChoice) {
+        // Save to localStorage
+        localStorage.setItem(LOCALIZATION_SETTINGS.language.localStorageKey, languageCode);
+        
+        // Save to cookies
+        const expiryDate = new Date();
+        expiryDate.setFullYear(expiryDate.getFullYear() + 1);
+        document.cookie = `${LOCALIZATION_SETTINGS.language.cookieName}=${languageCode}; expires=${expiryDate.toUTCString()}; path=/`;
+      }
       
-      // Update URL parameter
-      const url = new URL(window.location);
-      url.searchParams.set(LOCALIZATION_SETTINGS.language.urlParameter, languageCode);
-      window.history.replaceState({}, '', url);
+      // Update URL parameter (path routing keeps the language in the path instead)
+      if (LOCALIZATION_SETTINGS.language.routing === 'query') {
+        const url = new URL(window.location);
+        url.searchParams.set(LOCALIZATION_SETTINGS.language.urlParameter, languageCode);
+        window.history.replaceState({}, '', url);
+      }
       
     } catch (error) {
       console.error('❌ Failed to save language preference:', error);
     }
   }
 
+  /**
+   * Announce a language switch in the live region, worded in the new language
+   */
+  announceLanguageChange(languageCode = this.currentLanguage) {
+    if (!UI_SETTINGS.accessibility.announceLanguageChange) return;
+    
+    const languageInfo = getLanguageInfo(languageCode);
+    const translations = this.translations.get(languageCode);
+    const message = translations
+      ? this.getTranslation('common.languageSwitcher.changed', translations, { language: languageInfo.native })
+      : null;
+    
+    this.announce(message || languageInfo.native, languageCode);
+  }
+
+  /**
+   * Announce the switch recorded by navigateToLanguage() on the previous page
+   */
+  announcePendingSwitch() {
+    let languageCode = null;
+    try {
+      languageCode = sessionStorage.getItem(UI_SETTINGS.accessibility.sessionStorageKey);
+      sessionStorage.removeItem(UI_SETTINGS.accessibility.sessionStorageKey);
+    } catch (error) {
+      return;
+    }
+    
+    if (languageCode && languageCode === this.currentLanguage) {
+      this.announceLanguageChange(languageCode);
+    }
+  }
+
+  /**
+   * Polite live region, visually hidden; created once and kept for the page's lifetime
+   */
+  getLiveRegion() {
+    if (this.liveRegion && this.liveRegion.isConnected) {
+      return this.liveRegion;
+    }
+    
+    this.liveRegion = document.createElement('div');
+    this.liveRegion.className = 'i18n-live-region';
+    this.liveRegion.setAttribute('role', 'status');
+    this.liveRegion.setAttribute('aria-live', 'polite');
+    this.liveRegion.setAttribute('aria-atomic', 'true');
+    Object.assign(this.liveRegion.style, {
+      position: 'absolute',
+      width: '1px',
+      height: '1px',
+      margin: '-1px',
+      padding: '0',
+      border: '0',
+      overflow: 'hidden',
+      clip: 'rect(0 0 0 0)',
+      whiteSpace: 'nowrap'
+    });
+    document.body.appendChild(this.liveRegion);
+    
+    return this.liveRegion;
+  }
+
+  /**
+   * Read a message to screen reader users without moving focus
+   * The region carries the message's lang/dir so it is voiced correctly
+   */
+  announce(message, languageCode = this.currentLanguage) {
+    const region = this.getLiveRegion();
+    
+    region.setAttribute('lang', languageCode);
+    region.setAttribute('dir', getDirection(languageCode));
+    region.textContent = '';
+    
+    // Written after a pause: a region that changes in the same tick it was cleared (or created) may be skipped
+    clearTimeout(this.announceTimer);
+    this.announceTimer = setTimeout(() => {
+      region.textContent = message;
+    }, UI_SETTINGS.accessibility.announceDelay);
+  }
+
   /**
    * Setup event listeners
    */
@@ -596,6 +1859,12 @@ class LocalizationEngine {
           this.setLanguage(language);
         }
       }
+      
+      // <select data-format-preference="numberingSystem|calendar">
+      if (e.target.matches('[data-format-preference]')) {
+        const preference = e.target.getAttribute('data-format-preference');
+        this.setFormatPreferences({ [preference]: e.target.value || null }).catch(error => this.handleError(error));
+      }
     });
   }
 
@@ -628,8 +1897,8 @@ class LocalizationEngine {
   handleError(error) {
     console.error('❌ Localization Engine Error:', error);
     
-    // Emit error event
-    this.emit('error', { error, timestamp: Date.now() });
+    // Emit error event with a typed reason (timeout, network, http, parse, not-found, ...)
+    this.emit('error', { error, reason: error.reason || 'unknown', timestamp: Date.now() });
     
     // Show user feedback if enabled
     if (LOCALIZATION_SETTINGS.errors.showConsoleWarnings) {
@@ -672,11 +1941,37 @@ class LocalizationEngine {
    */
   destroy() {
     try {
+      // Stop observing dynamic content
+      this.stopObserver();
+      
+      // Cancel any in-flight load
+      if (this.loadController) {
+        this.loadController.abort();
+        this.loadController = null;
+      }
+      
+      // Stop listening for dev server changes
+      if (this.hotReload) {
+        this.hotReload.disconnect();
+        this.hotReload = null;
+      }
+      
+      // Remove the live region
+      clearTimeout(this.announceTimer);
+      if (this.liveRegion) {
+        this.liveRegion.remove();
+        this.liveRegion = null;
+      }
+      
       // Clear cache
       this.cache.clear();
+      this.catalogConflicts.clear();
+      this.fallbackRecords.clear();
+      this.report.reset();
       
       // Clear translations
       this.translations.clear();
+      this.loadedNamespaces.clear();
       
       // Remove event listeners
       this.eventListeners.clear();
@@ -6,13 +6,17 @@
 // Import core components
 import LocalizationEngine from './core/localization-engine.js';
 import LanguageToggle from './components/language-toggle.js';
+import LanguageDropdown from './components/language-dropdown.js';
+import TranslationEditor from './components/translation-editor.js';
 
 // Import configurations
-import { SUPPORTED_LANGUAGES, getActiveLanguages } from './config/supported-languages.js';
-import { LOCALIZATION_SETTINGS } from './config/settings.js';
+import { SUPPORTED_LANGUAGES, getActiveLanguages, getLanguageStatus } from './config/supported-languages.js';
+import { LOCALIZATION_SETTINGS, UI_SETTINGS } from './config/settings.js';
 
 // Import styles
 import './styles/language-toggle.css';
+import './styles/language-dropdown.css';
+import './styles/translation-editor.css';
 
 /**
  * Main Localization System Class
@@ -26,7 +30,9 @@ class MarlnLocalizationSystem {
     };
     
     this.engine = null;
-    this.toggle = null;
+    this.toggle = null; // First placement, kept for existing callers
+    this.toggles = [];
+    this.editor = null;
     this.isInitialized = false;
     this.eventListeners = new Map();
     
@@ -48,9 +54,9 @@ class MarlnLocalizationSystem {
       this.engine = new LocalizationEngine(this.options);
       await this.engine.init();
       
-      // Initialize language toggle
-      this.toggle = new LanguageToggle(this.options.ui);
-      this.toggle.init();
+      // Initialize one language toggle per placement (header, footer, floating)
+      this.toggles = [].concat(UI_SETTINGS.toggle.position).map(position => this.createToggle({ position }));
+      this.toggle = this.toggles[0] || null;
       
       // Connect engine and toggle
       this.connectComponents();
@@ -58,6 +64,11 @@ class MarlnLocalizationSystem {
       // Set up global event listeners
       this.setupGlobalEvents();
       
+      // In-context translation editor (?i18n-edit=1)
+      if (TranslationEditor.isRequested()) {
+        this.openEditor();
+      }
+      
       this.isInitialized = true;
       console.log('✅ Marln Localization System initialized successfully');
       
@@ -75,13 +86,38 @@ class MarlnLocalizationSystem {
   }
 
   /**
-   * Connect engine and toggle components
+   * Create, place and translate a toggle
+   * The footer always lists the languages; elsewhere the slider, or the dropdown
+   * for style 'dropdown' with more than two languages
    */
-  connectComponents() {
-    if (!this.engine || !this.toggle) return;
+  createToggle(options = {}) {
+    const toggleOptions = { ...this.options.ui, ...options };
+    const ToggleComponent = toggleOptions.position !== 'footer' && LanguageDropdown.isPreferred(toggleOptions)
+      ? LanguageDropdown
+      : LanguageToggle;
     
-    // Listen for toggle language changes
-    this.toggle.on('languageChanged', async (data) => {
+    const toggle = new ToggleComponent(toggleOptions);
+    toggle.currentLanguage = this.engine.currentLanguage;
+    toggle.init();
+    
+    // The toggle's own labels (data-i18n) follow the page language
+    this.engine.translateElement(toggle.element);
+    
+    return toggle;
+  }
+
+  /**
+   * Send a toggle's choices to the engine; the engine's languageChanged
+   * event then brings every other toggle in line
+   */
+  connectToggle(toggle, details = {}) {
+    toggle.on('languageChanged', async (data) => {
+      // Translating the page can replace the focused element; keyboard users stay on the control
+      const hadFocus = toggle.element.contains(document.activeElement);
+      if (hadFocus) {
+        this.rememberToggleFocus(toggle);
+      }
+      
       try {
         // Update engine language
         await this.engine.setLanguage(data.to);
@@ -90,20 +126,77 @@ class MarlnLocalizationSystem {
         this.emit('languageChanged', {
           from: data.from,
           to: data.to,
-          source: 'toggle'
+          source: 'toggle',
+          ...details
         });
         
       } catch (error) {
         console.error('❌ Failed to sync language change:', error);
         this.handleError(error);
       }
+      
+      // Path routing: the new page picks up the focus from here
+      if (this.engine.navigatingTo === data.to) return;
+      this.rememberToggleFocus(null);
+      
+      // A switch that failed or was superseded must not leave this toggle out of step
+      if (this.engine.currentLanguage !== data.to) {
+        toggle.setLanguage(this.engine.currentLanguage);
+      }
+      
+      if (hadFocus && !toggle.element.contains(document.activeElement)) {
+        toggle.focus();
+      }
     });
+  }
+
+  /**
+   * Record which placement had focus, for the page a path-routed switch loads
+   */
+  rememberToggleFocus(toggle) {
+    try {
+      if (toggle) {
+        sessionStorage.setItem(UI_SETTINGS.accessibility.focusStorageKey, toggle.position);
+      } else {
+        sessionStorage.removeItem(UI_SETTINGS.accessibility.focusStorageKey);
+      }
+    } catch (error) {
+      // Storage blocked: focus is only kept within the page
+    }
+  }
+
+  /**
+   * Focus the toggle that made the switch on the previous page
+   */
+  restoreToggleFocus() {
+    let position = null;
+    try {
+      position = sessionStorage.getItem(UI_SETTINGS.accessibility.focusStorageKey);
+      sessionStorage.removeItem(UI_SETTINGS.accessibility.focusStorageKey);
+    } catch (error) {
+      return;
+    }
+    
+    const toggle = position && this.toggles.find(candidate => candidate.position === position);
+    if (toggle) {
+      toggle.focus();
+    }
+  }
+
+  /**
+   * Connect engine and toggle components
+   */
+  connectComponents() {
+    if (!this.engine || this.toggles.length === 0) return;
+    
+    // Listen for toggle language changes
+    this.toggles.forEach(toggle => this.connectToggle(toggle));
     
     // Listen for engine language changes
     this.engine.on('languageChanged', (data) => {
       try {
-        // Update toggle display
-        this.toggle.setLanguage(data.to);
+        // Update every toggle's display
+        this.toggles.forEach(toggle => toggle.setLanguage(data.to));
         
         // Emit system language change event
         this.emit('languageChanged', {
@@ -120,15 +213,12 @@ class MarlnLocalizationSystem {
     
     // Listen for engine ready event
     this.engine.on('ready', (data) => {
-      // Sync toggle with engine language
-      this.toggle.setLanguage(data.language);
+      // Sync toggles with engine language
+      this.toggles.forEach(toggle => toggle.setLanguage(data.language));
     });
     
-    // Listen for toggle ready event
-    this.toggle.on('ready', (data) => {
-      // Sync engine with toggle language
-      this.engine.setLanguage(this.toggle.getCurrentLanguage());
-    });
+    // Arrived here through a toggle on the previous page
+    this.restoreToggleFocus();
   }
 
   /**
@@ -178,10 +268,8 @@ class MarlnLocalizationSystem {
         await this.engine.setLanguage(languageCode);
       }
       
-      // Update toggle
-      if (this.toggle) {
-        this.toggle.setLanguage(languageCode);
-      }
+      // Update toggles
+      this.toggles.forEach(toggle => toggle.setLanguage(languageCode));
       
       // Emit system event
       this.emit('languageSet', {
@@ -230,12 +318,19 @@ class MarlnLocalizationSystem {
   }
 
   /**
-   * Get active languages (with translation files)
+   * Get active languages (listed in the translations manifest, beta included)
    */
   getActiveLanguages() {
     return getActiveLanguages();
   }
 
+  /**
+   * Get a language's release status from the manifest ('stable', 'beta' or 'hidden')
+   */
+  getLanguageStatus(languageCode) {
+    return getLanguageStatus(languageCode);
+  }
+
   /**
    * Refresh language state
    */
@@ -263,40 +358,85 @@ class MarlnLocalizationSystem {
     return {};
   }
 
+  /**
+   * Get missing keys, fallback hits and partial matches per page and language
+   */
+  getMissingTranslations(filter = {}) {
+    if (this.engine) {
+      return this.engine.getMissingTranslations(filter);
+    }
+    return null;
+  }
+
+  /**
+   * Export the missing translation report as 'json' or 'csv'
+   */
+  exportMissingTranslations(format = 'json', filter = {}) {
+    if (this.engine) {
+      return this.engine.exportMissingTranslations(format, filter);
+    }
+    return '';
+  }
+
+  /**
+   * Load extra translation namespaces on demand and re-render the page
+   */
+  async requireNamespaces(namespaces) {
+    if (this.engine) {
+      return this.engine.requireNamespaces(namespaces);
+    }
+    return null;
+  }
+
+  /**
+   * Override the numbering system and/or calendar for the current language
+   */
+  async setFormatPreferences(preferences) {
+    if (this.engine) {
+      return this.engine.setFormatPreferences(preferences);
+    }
+    return null;
+  }
+
+  /**
+   * Open the in-context translation editor overlay
+   */
+  openEditor() {
+    if (!this.engine) return null;
+    
+    if (!this.editor || !this.editor.isInitialized) {
+      this.editor = new TranslationEditor(this.engine);
+      this.editor.init();
+    }
+    return this.editor;
+  }
+
   /**
    * Show/hide language toggle
    */
   setToggleVisible(visible) {
-    if (this.toggle) {
-      this.toggle.setVisible(visible);
-    }
+    this.toggles.forEach(toggle => toggle.setVisible(visible));
   }
 
   /**
    * Enable/disable language toggle
    */
   setToggleEnabled(enabled) {
-    if (this.toggle) {
-      this.toggle.setEnabled(enabled);
-    }
+    this.toggles.forEach(toggle => toggle.setEnabled(enabled));
   }
 
   /**
    * Update toggle style
    */
   updateToggleStyle(style) {
-    if (this.toggle) {
-      this.toggle.updateStyle(style);
-    }
+    this.toggles.forEach(toggle => toggle.updateStyle(style));
   }
 
   /**
    * Update toggle size
    */
   updateToggleSize(size) {
-    if (this.toggle) {
-      this.toggle.updateSize(size);
-    }
+    this.toggles.forEach(toggle => toggle.updateSize(size));
   }
 
   /**
@@ -315,35 +455,16 @@ class MarlnLocalizationSystem {
       console.log(`🔍 Container found:`, container);
       console.log(`🔍 Container HTML before:`, container.innerHTML);
 
-      // Create a new toggle instance for this container
-      const toggle = new LanguageToggle(this.options.ui);
-      toggle.init();
-      
-      // Clear container and insert toggle
+      // Clear container and insert a new toggle instance
       console.log(`🔍 Clearing container and inserting toggle...`);
       container.innerHTML = '';
-      container.appendChild(toggle.element);
+      const toggle = this.createToggle({ container });
       
       console.log(`🔍 Container HTML after insertion:`, container.innerHTML);
       
-      // Connect toggle to engine
-      toggle.on('languageChanged', async (data) => {
-        try {
-          await this.engine.setLanguage(data.to);
-          
-          // Emit system language change event
-          this.emit('languageChanged', {
-            from: data.from,
-            to: data.to,
-            source: 'toggle',
-            container: selector
-          });
-          
-        } catch (error) {
-          console.error('❌ Failed to sync language change:', error);
-          this.handleError(error);
-        }
-      });
+      // Connect toggle to engine; it stays in sync with the other placements
+      this.connectToggle(toggle, { container: selector });
+      this.toggles.push(toggle);
       
       console.log(`✅ Language toggle inserted into: ${selector}`);
     console.log(`🔍 Toggle element:`, toggle.element);
@@ -401,10 +522,15 @@ class MarlnLocalizationSystem {
         this.engine = null;
       }
       
-      // Destroy toggle
-      if (this.toggle) {
-        this.toggle.destroy();
-        this.toggle = null;
+      // Destroy toggles
+      this.toggles.forEach(toggle => toggle.destroy());
+      this.toggles = [];
+      this.toggle = null;
+      
+      // Close editor
+      if (this.editor) {
+        this.editor.destroy();
+        this.editor = null;
       }
       
       // Clear event listeners
@@ -425,13 +551,13 @@ class MarlnLocalizationSystem {
 export const marlnLocalization = new MarlnLocalizationSystem();
 
 // Export individual components for advanced usage
-export { LocalizationEngine, LanguageToggle };
+export { LocalizationEngine, LanguageToggle, LanguageDropdown, TranslationEditor };
 
 // Export configurations
 export { SUPPORTED_LANGUAGES, LOCALIZATION_SETTINGS };
 
 // Export utility functions
-export { getActiveLanguages };
+export { getActiveLanguages, getLanguageStatus };
 
 // Auto-initialize when DOM is ready
 if (document.readyState === 'loading') {
@@ -6,18 +6,36 @@ class SimpleLanguageToggle {
     constructor(containerId) {
         this.containerId = containerId;
         this.currentLanguage = this.getStoredLanguage();
+        // Until loadTranslations() knows the active languages (manifest or CATALOG_LANGUAGES)
+        this.languages = [...new Set([SimpleLanguageToggle.defaultLanguage, this.currentLanguage])];
+        this.languageInfo = {};
+        this.languagesPath = '';
+        this.manifest = null;
         this.translations = {};
+        this.catalogConflicts = {};
         this.init();
     }
 
     init() {
         this.loadTranslations().then(() => {
+            // Path routing: a saved or requested language other than this page's has its own URL
+            const pageUrl = this.getLanguagePageUrl(this.currentLanguage);
+            if (pageUrl) {
+                window.location.replace(pageUrl);
+                return;
+            }
+            
             this.createToggle();
             this.setupEventListeners();
-                    // Apply the stored language immediately
-        this.applyTranslations(this.currentLanguage);
+            // Announce (and refocus) a switch that loaded this page
+            this.restorePendingSwitch();
+                    // Apply the stored language immediately (pre-rendered pages already contain it)
+        if (document.documentElement.getAttribute('data-i18n-prerendered') !== this.currentLanguage) {
+            this.applyTranslations(this.currentLanguage);
+        }
         // Set initial document direction
         this.updateToggleLayout(this.currentLanguage);
+            SimpleLanguageToggle.setupHotReload();
         }).catch(error => {
             // Create toggle anyway with fallback
             this.createToggle();
@@ -35,30 +53,39 @@ class SimpleLanguageToggle {
             return;
         }
 
-        // Determine initial active state based on current language
-        const isArabic = this.currentLanguage === 'ar';
-        const enClass = isArabic ? 'inactive' : 'active';
-        const arClass = isArabic ? 'active' : 'inactive';
-        const enText = 'EN';
-        const arText = 'العربية';
+        // One radio per active language, marked up in that language; beta languages carry a badge
+        const optionsHTML = this.languages.map(code => {
+            const info = this.languageInfo[code] || {};
+            const isActive = code === this.currentLanguage;
+            const state = isActive ? 'active' : 'inactive';
+            const badge = info.status === 'beta' ? '<span class="lang-status">beta</span>' : '';
+            // Short labels ("EN") are read out as the language's own name
+            const label = info.label && info.native ? ` aria-label="${info.native}"` : '';
+            return `<div class="lang-option ${state}${badge ? ' beta' : ''}" role="radio" aria-checked="${isActive}" tabindex="${isActive ? 0 : -1}" data-lang="${code}" lang="${code}" dir="${info.direction || 'ltr'}"${label}>${info.label || code.toUpperCase()}${badge}</div>`;
+        }).join('');
 
-        // Create the sliding toggle design
+        // Create the sliding toggle design: a radio group
         const toggleHTML = `
             <div class="language-toggle">
-                <button class="toggle-button" data-current-lang="${this.currentLanguage}">
+                <div class="toggle-button" role="radiogroup" aria-label="Language" data-current-lang="${this.currentLanguage}">
                     <div class="slider-bg"></div>
                     <div class="lang-container">
-                        <div class="lang-option ${enClass}">${enText}</div>
-                        <div class="lang-option ${arClass}">${arText}</div>
+                        ${optionsHTML}
                     </div>
-                </button>
+                </div>
             </div>
         `;
 
+        const hadFocus = container.contains(document.activeElement);
         container.innerHTML = toggleHTML;
         
         // Apply initial language state
         this.updateToggleLayout(this.currentLanguage);
+        
+        // Rebuilt while in use (the manifest arrived): keep keyboard focus on the control
+        if (hadFocus) {
+            this.focusToggle();
+        }
     }
 
     setupEventListeners() {
@@ -66,43 +93,85 @@ class SimpleLanguageToggle {
         if (toggleButton) {
             toggleButton.addEventListener('click', (e) => {
                 e.preventDefault();
-                this.toggleLanguage();
+                // A clicked option is selected (the checked one stays as it is),
+                // a click elsewhere on the track moves on to the next language
+                const option = e.target.closest('.lang-option');
+                this.toggleLanguage(option ? option.getAttribute('data-lang') : null);
             });
 
-            // Keyboard support
+            // Keyboard support (radio group): arrows select the previous/next language,
+            // Space or Enter the focused one; the group is always laid out left to right
             toggleButton.addEventListener('keydown', (e) => {
-                if (e.key === 'Enter' || e.key === ' ') {
+                const step = { ArrowRight: 1, ArrowDown: 1, ArrowLeft: -1, ArrowUp: -1 }[e.key];
+                if (step) {
+                    e.preventDefault();
+                    const index = this.languages.indexOf(this.currentLanguage);
+                    this.toggleLanguage(this.languages[(index + step + this.languages.length) % this.languages.length]);
+                } else if (e.key === 'Enter' || e.key === ' ') {
                     e.preventDefault();
-                    this.toggleLanguage();
+                    const option = e.target.closest('.lang-option');
+                    this.toggleLanguage(option ? option.getAttribute('data-lang') : null);
                 }
             });
         }
     }
 
-    toggleLanguage() {
+    async toggleLanguage(targetLanguage = null) {
         const toggleButton = document.querySelector(`#${this.containerId} .toggle-button`);
-        const sliderBg = toggleButton.querySelector('.slider-bg');
-        const langOptions = toggleButton.querySelectorAll('.lang-option');
         
         // Store the old language before updating
         const oldLang = this.currentLanguage;
         
-        // Toggle to opposite language
-        const newLang = this.currentLanguage === 'en' ? 'ar' : 'en';
+        // Requested language, or the next one (wrapping around)
+        const newLang = targetLanguage || this.languages[(this.languages.indexOf(oldLang) + 1) % this.languages.length];
+        if (!newLang || newLang === oldLang) {
+            return;
+        }
         
         // Update the current language
+        const hadFocus = toggleButton.contains(document.activeElement);
         toggleButton.setAttribute('data-current-lang', newLang);
         this.currentLanguage = newLang;
         
         // Save the language preference to localStorage
         this.saveLanguagePreference(newLang);
         
+        // Path routing: the other language lives on its own page (/ar/about-us.html)
+        const pageUrl = this.getLanguagePageUrl(newLang);
+        if (pageUrl) {
+            this.rememberSwitch(newLang, hadFocus);
+            window.location.assign(pageUrl);
+            return;
+        }
+        
+        // Query routing: keep ?lang= in step so a reload or a shared link shows this language
+        if (SimpleLanguageToggle.getRouting() === 'query') {
+            const url = new URL(window.location.href);
+            if (newLang === SimpleLanguageToggle.defaultLanguage) {
+                url.searchParams.delete('lang');
+            } else {
+                url.searchParams.set('lang', newLang);
+            }
+            window.history.replaceState(window.history.state, '', url.href);
+        }
+        
         // Apply translations and update layout
+        try {
+            await this.loadLanguage(newLang);
+        } catch (error) {
+            // Keep the toggle usable; the page stays in its current text
+        }
         this.applyTranslations(newLang);
         
         // Update the toggle layout (this will handle slider positioning and active states)
         this.updateToggleLayout(newLang);
         
+        // Translating can replace the focused element; keyboard users stay on the control
+        if (hadFocus) {
+            this.focusToggle();
+        }
+        this.announceLanguageChange(newLang);
+        
         // Ensure header maintains LTR layout even in Arabic mode
         const header = document.querySelector('header');
         if (header) {
@@ -118,52 +187,153 @@ class SimpleLanguageToggle {
     }
     
     /**
-     * Load translation files
+     * Load the translations manifest (active languages) and the current language's catalogs
      */
     async loadTranslations() {
-        try {
-            // Try multiple possible paths for translation files
-            const possiblePaths = [
-                './localization/languages/',
-                '/localization/languages/',
-                '../localization/languages/',
-                '../../localization/languages/'
-            ];
-            
-            let enData, arData;
-            let loadedPath = '';
-            
-            // Try to load from each possible path
-            for (const path of possiblePaths) {
-                try {
-                    // Load English translations
-                    const enResponse = await fetch(path + 'en.json');
-                    if (enResponse.ok) {
-                        enData = await enResponse.json();
-                        
-                        // Load Arabic translations from the same path
-                        const arResponse = await fetch(path + 'ar.json');
-                        if (arResponse.ok) {
-                            arData = await arResponse.json();
-                            loadedPath = path;
-                            break;
-                        }
-                    }
-                } catch (pathError) {
-                    continue;
+        // Try multiple possible paths for translation files
+        const possiblePaths = [
+            './localization/languages/',
+            '/localization/languages/',
+            '../localization/languages/',
+            '../../localization/languages/'
+        ];
+        
+        let manifest = null;
+        
+        // The manifest (tools/build-manifest.mjs) lists every catalog with its status
+        for (const path of possiblePaths) {
+            try {
+                const response = await fetch(path + 'manifest.json', { cache: 'no-cache' });
+                if (response.ok) {
+                    manifest = await response.json();
+                    this.languagesPath = path;
+                    break;
                 }
+            } catch (pathError) {
+                continue;
             }
-            
-            if (!enData || !arData) {
-                throw new Error('Failed to load translations from any path');
-            }
-            
-
-            
-            this.translations = { en: enData, ar: arData };
-            
+        }
+        
+        // Not built or unreachable: the catalogs sit next to this script
+        if (!manifest || !manifest.languages) {
+            manifest = null;
+            this.languagesPath = new URL('./languages/', SimpleLanguageToggle.scriptUrl).href;
+        }
+        
+        // Same list as the engine: the manifest's stable and beta languages (beta ones are
+        // flagged), or the configured languages that ship catalogs when there is no manifest
+        const { SUPPORTED_LANGUAGES, getActiveLanguages, setLanguageManifest } = await SimpleLanguageToggle.loadModules();
+        setLanguageManifest(manifest);
+        this.manifest = manifest;
+        this.languages = getActiveLanguages();
+        this.languageInfo = manifest ? manifest.languages : Object.fromEntries(this.languages.map(code => {
+            const { native, label, direction, locale } = SUPPORTED_LANGUAGES[code];
+            return [code, { native, label: label || native, direction, locale }];
+        }));
+        
+        if (!this.languages.includes(this.currentLanguage)) {
+            this.currentLanguage = SimpleLanguageToggle.defaultLanguage;
+        }
+        
+        await this.loadLanguage(this.currentLanguage);
+    }
+    
+    /**
+     * Load a language: the page's namespace bundles when it declares them, otherwise
+     * its nested catalog merged with its flat i18n/<lang>.json catalog
+     */
+    async loadLanguage(language) {
+        if (this.translations[language]) {
+            return;
+        }
+        
+        const bundles = await this.loadNamespaceBundles(language);
+        if (bundles) {
+            // Bundles hold disjoint top-level keys of the already merged catalog
+            const { CatalogUtils } = await SimpleLanguageToggle.loadModules();
+            this.translations[language] = CatalogUtils.merge(bundles).catalog;
+            return;
+        }
+        
+        const response = await fetch(this.languagesPath + language + '.json');
+        if (!response.ok) {
+            throw new Error(`Failed to load ${language} translations`);
+        }
+        
+        const data = await response.json();
+        const flat = await this.loadFlatCatalog(this.languagesPath, language);
+        
+        // Same merge as the engine (utils/catalog.js): the nested catalog wins, conflicts are kept for review
+        const { CatalogUtils } = await SimpleLanguageToggle.loadModules();
+        const { catalog, conflicts } = CatalogUtils.merge([
+            { name: `localization/languages/${language}.json`, data },
+            { name: `i18n/${language}.json`, data: flat }
+        ]);
+        this.catalogConflicts[language] = conflicts;
+        this.translations[language] = catalog;
+    }
+    
+    /**
+     * Fetch the shared and page namespace bundles (tools/split-namespaces.mjs) the manifest
+     * lists for a language; null when the page declares none or they are not deployed
+     */
+    async loadNamespaceBundles(language) {
+        const namespaces = SimpleLanguageToggle.getPageNamespaces();
+        if (!namespaces || !this.manifest || !this.manifest.files) {
+            return null;
+        }
+        
+        const { LOCALIZATION_SETTINGS } = SimpleLanguageToggle.loadedModules;
+        const { path, shared } = LOCALIZATION_SETTINGS.catalog.namespaces;
+        const listed = namespaces.filter(namespace => this.manifest.files[path.replace('{lang}', language).replace('{ns}', namespace)]);
+        if (!listed.includes(shared)) {
+            return null;
+        }
+        
+        // An unknown page namespace is a typo, not a reason to download everything
+        namespaces.filter(namespace => !listed.includes(namespace)).forEach(namespace => {
+            console.warn(`⚠️ Unknown translation namespace "${namespace}" for ${language}`);
+        });
+        
+        try {
+            // Same layout as the settings path, next to the catalogs the manifest was found with
+            return await Promise.all(listed.map(async (namespace) => {
+                const response = await fetch(this.languagesPath + language + '/' + namespace + '.json');
+                if (!response.ok) {
+                    throw new Error(`Failed to load ${language}/${namespace} translations`);
+                }
+                return { name: namespace, data: await response.json() };
+            }));
         } catch (error) {
-            throw error;
+            return null;
+        }
+    }
+    
+    /**
+     * Namespaces declared by the page (<html data-i18n-ns="index,partners">) plus the
+     * shared one, or null when it declares none; same rule as the engine
+     */
+    static getPageNamespaces() {
+        const declared = document.documentElement.getAttribute('data-i18n-ns');
+        if (declared === null) {
+            return null;
+        }
+        
+        const { shared } = SimpleLanguageToggle.loadedModules.LOCALIZATION_SETTINGS.catalog.namespaces;
+        const namespaces = declared.split(',').map(namespace => namespace.trim()).filter(Boolean);
+        return [...new Set([shared, ...namespaces])];
+    }
+    
+    /**
+     * Load the flat i18n/<lang>.json catalog next to the nested one (optional)
+     */
+    async loadFlatCatalog(languagesPath, language) {
+        try {
+            const flatPath = languagesPath.replace('localization/languages/', 'i18n/');
+            const response = await fetch(flatPath + language + '.json');
+            return response.ok ? await response.json() : null;
+        } catch (error) {
+            return null;
         }
     }
     
@@ -180,6 +350,11 @@ class SimpleLanguageToggle {
             return;
         }
         
+        // Both toggle instances (desktop and mobile) render the page: only the first
+        // pass per language and document feeds the missing-translation report
+        const report = !SimpleLanguageToggle.reportedLanguages.has(language);
+        SimpleLanguageToggle.reportedLanguages.add(language);
+        
         // Find all elements with data-i18n attributes
         const elements = document.querySelectorAll('[data-i18n]');
         let updatedCount = 0;
@@ -193,18 +368,18 @@ class SimpleLanguageToggle {
                     element.placeholder = translation;
                 } else if (element.hasAttribute('placeholder')) {
                     element.placeholder = translation;
+                } else if (SimpleLanguageToggle.loadedModules.HTMLSanitizer.isHtmlKey(key)) {
+                    // Only keys marked "...Html" may carry (allowlisted) markup
+                    this.setSanitizedHTML(element, translation, key);
+                    this.isolateBidiText(element, language);
                 } else {
-                    // Check if translation contains HTML tags
-                    if (translation.includes('<') && translation.includes('>')) {
-                        element.innerHTML = translation;
-                    } else {
-                        element.textContent = translation;
-                    }
+                    element.textContent = translation;
+                    this.isolateBidiText(element, language);
                 }
                 updatedCount++;
-            } else {
-                // Try to find partial matches
-                this.findPartialTranslation(key, language);
+            } else if (report) {
+                // Record the miss together with any partial matches
+                this.recordMissing(key, language, this.findPartialTranslation(key, language));
             }
         });
         
@@ -218,6 +393,8 @@ class SimpleLanguageToggle {
             if (translation) {
                 element.placeholder = translation;
                 updatedCount++;
+            } else if (report) {
+                this.recordMissing(key, language, this.findPartialTranslation(key, language));
             }
         });
         
@@ -231,6 +408,8 @@ class SimpleLanguageToggle {
             if (translation) {
                 element.value = translation;
                 updatedCount++;
+            } else if (report) {
+                this.recordMissing(key, language, this.findPartialTranslation(key, language));
             }
         });
         
@@ -240,6 +419,91 @@ class SimpleLanguageToggle {
             const key = element.getAttribute('data-i18n');
         });
         
+        // Email, phone and URL fields stay left-to-right in every language
+        document.querySelectorAll('input[type="email"], input[type="tel"], input[type="url"]').forEach(input => {
+            input.setAttribute('dir', 'ltr');
+        });
+        
+        this.updateHead(language);
+    }
+    
+    /**
+     * Wrap Latin runs (brands, emails, phone numbers, versions) of Arabic text in <bdi>
+     * with the engine's rules and glossary (utils/bidi.js, RTL_SETTINGS.bidi)
+     */
+    isolateBidiText(element, language) {
+        const { BidiUtils, RTL_SETTINGS } = SimpleLanguageToggle.loadedModules;
+        if ((this.languageInfo[language] || {}).direction !== 'rtl' || !RTL_SETTINGS.bidi.enabled || !RTL_SETTINGS.bidi.isolateLatinRuns) {
+            return;
+        }
+        
+        BidiUtils.isolateElement(element, RTL_SETTINGS.bidi);
+    }
+    
+    /**
+     * Localize <head>: title, description, Open Graph locale, hreflang alternates and canonical URL
+     * with the engine's builder (utils/seo-head.js). Pages name their keys with <html data-i18n-meta="about.meta">
+     */
+    updateHead(language) {
+        // Same origin as the engine and tools/prerender.mjs (LOCALIZATION_SETTINGS.seo.siteUrl)
+        const { LOCALIZATION_SETTINGS, SEOHead } = SimpleLanguageToggle.loadedModules;
+        const siteUrl = LOCALIZATION_SETTINGS.seo.siteUrl || window.location.origin;
+        const defaultLanguage = SimpleLanguageToggle.defaultLanguage;
+        const pageUrl = (code) => {
+            const url = new URL(this.getLocalizedPath(code), siteUrl);
+            if (code !== defaultLanguage && SimpleLanguageToggle.getRouting() === 'query') url.searchParams.set('lang', code);
+            return url.toString();
+        };
+        
+        const prefix = document.documentElement.getAttribute('data-i18n-meta');
+        const head = SEOHead.build({
+            language,
+            languages: this.languages,
+            defaultLanguage,
+            getLocale: code => (this.languageInfo[code] || {}).locale || code,
+            getUrl: pageUrl,
+            title: prefix ? this.getTranslation(`${prefix}.title`, language) : null,
+            description: prefix ? this.getTranslation(`${prefix}.description`, language) : null,
+            settings: LOCALIZATION_SETTINGS.seo
+        });
+        
+        SEOHead.apply(document, head);
+    }
+    
+    /**
+     * Render a rich-text translation through the engine's allowlist (utils/html-sanitizer.js)
+     */
+    setSanitizedHTML(element, html, key) {
+        const { HTMLSanitizer } = SimpleLanguageToggle.loadedModules;
+        const removed = HTMLSanitizer.setHTML(element, html);
+        
+        if (removed.length > 0 && SimpleLanguageToggle.debug) {
+            console.warn(`⚠️ Stripped disallowed markup from "${key}": ${removed.join(', ')}`);
+        }
+    }
+    
+    /**
+     * Path of the current page in a language; the default language stays unprefixed
+     */
+    getLocalizedPath(language) {
+        const prefix = this.languages.find(code => new RegExp(`^/${code}(?=/|$)`).test(window.location.pathname));
+        const path = (prefix ? window.location.pathname.slice(prefix.length + 1) : window.location.pathname) || '/';
+        return SimpleLanguageToggle.getRouting() === 'path' && language !== SimpleLanguageToggle.defaultLanguage ? `/${language}${path}` : path;
+    }
+    
+    /**
+     * Path routing: URL of the language's own page, or null when this page already is it
+     */
+    getLanguagePageUrl(language) {
+        const targetPath = this.getLocalizedPath(language);
+        if (SimpleLanguageToggle.getRouting() !== 'path' || targetPath === window.location.pathname) {
+            return null;
+        }
+        
+        const url = new URL(window.location.href);
+        url.pathname = targetPath;
+        url.searchParams.delete('lang');
+        return url.toString();
     }
     
     /**
@@ -258,7 +522,115 @@ class SimpleLanguageToggle {
             }
         }
         
-        // Partial matches logic (silent)
+        return possibleMatches;
+    }
+    
+    /**
+     * Record a missing key (and its partial matches) in the shared report
+     */
+    recordMissing(key, language, partialMatches) {
+        const { report } = SimpleLanguageToggle.loadedModules;
+        const matchKeys = partialMatches.map(match => match.key);
+        report.recordMissing(key, language, matchKeys);
+        
+        if (matchKeys.length > 0) {
+            report.recordPartialMatch(key, language, matchKeys);
+        }
+    }
+    
+    /**
+     * 'path' or 'query'. <html data-i18n-routing> overrides LOCALIZATION_SETTINGS.language.routing
+     * (a site hosted under a subpath has no /ar/ copies at the root, so it uses "query");
+     * file:// pages always use query routing
+     */
+    static getRouting() {
+        const routing = document.documentElement.getAttribute('data-i18n-routing');
+        if (routing === 'path' || routing === 'query') {
+            return routing;
+        }
+        if (window.location.protocol === 'file:') {
+            return 'query';
+        }
+        const { loadedModules } = SimpleLanguageToggle;
+        return loadedModules ? loadedModules.LOCALIZATION_SETTINGS.language.routing : 'path';
+    }
+    
+    /**
+     * Import the shared ES modules once for every instance; the paths are relative
+     * to this script, so they resolve wherever the site is hosted. Once resolved they
+     * are also kept in loadedModules for synchronous use while rendering
+     */
+    static loadModules() {
+        if (!SimpleLanguageToggle.modules) {
+            const load = (path) => import(new URL(path, SimpleLanguageToggle.scriptUrl).href);
+            SimpleLanguageToggle.modules = Promise.all([
+                load('./utils/catalog.js'),
+                load('./utils/html-sanitizer.js'),
+                load('./utils/bidi.js'),
+                load('./utils/translation-report.js'),
+                load('./utils/seo-head.js'),
+                load('./utils/hot-reload.js'),
+                load('./config/settings.js'),
+                load('./config/supported-languages.js')
+            ]).then(([catalog, sanitizer, bidi, translationReport, seoHead, hotReload, settings, languages]) => {
+                SimpleLanguageToggle.loadedModules = {
+                    CatalogUtils: catalog.CatalogUtils,
+                    HTMLSanitizer: sanitizer.HTMLSanitizer,
+                    BidiUtils: bidi.BidiUtils,
+                    SEOHead: seoHead.SEOHead,
+                    HotReloadClient: hotReload.HotReloadClient,
+                    // One report shared by every toggle instance on the page
+                    report: new translationReport.TranslationReport(),
+                    LOCALIZATION_SETTINGS: settings.LOCALIZATION_SETTINGS,
+                    RTL_SETTINGS: settings.RTL_SETTINGS,
+                    DEV_SETTINGS: settings.DEV_SETTINGS,
+                    SUPPORTED_LANGUAGES: languages.SUPPORTED_LANGUAGES,
+                    getActiveLanguages: languages.getActiveLanguages,
+                    setLanguageManifest: languages.setLanguageManifest
+                };
+                return SimpleLanguageToggle.loadedModules;
+            });
+        }
+        return SimpleLanguageToggle.modules;
+    }
+    
+    /**
+     * Connect to the dev server's change stream once per page (localhost, or
+     * DEV_SETTINGS.hotReload.enabled). The server has already rebuilt the changed
+     * catalog's bundles and pre-rendered pages, so a catalog change reloads the page too
+     */
+    static setupHotReload() {
+        const { HotReloadClient, DEV_SETTINGS } = SimpleLanguageToggle.loadedModules;
+        const settings = DEV_SETTINGS.hotReload;
+        if (SimpleLanguageToggle.hotReload || (!settings.enabled && !HotReloadClient.isLocalDevelopment())) {
+            return;
+        }
+        
+        SimpleLanguageToggle.hotReload = new HotReloadClient({
+            url: settings.endpoint,
+            onCatalog: () => window.location.reload()
+        });
+        SimpleLanguageToggle.hotReload.connect();
+    }
+    
+    /**
+     * Get missing keys and partial matches grouped by page and language
+     * (null until the shared modules have loaded)
+     */
+    static getMissingTranslations(filter = {}) {
+        const { loadedModules } = SimpleLanguageToggle;
+        return loadedModules ? loadedModules.report.generateReport(filter) : null;
+    }
+    
+    /**
+     * Export the report as 'json' or 'csv'
+     */
+    static exportMissingTranslations(format = 'json', filter = {}) {
+        const { loadedModules } = SimpleLanguageToggle;
+        if (!loadedModules) {
+            return '';
+        }
+        return format === 'csv' ? loadedModules.report.exportToCSV(filter) : loadedModules.report.exportToJSON(filter);
     }
     
     /**
@@ -284,71 +656,154 @@ class SimpleLanguageToggle {
      */
     updateToggleLayout(language) {
         const toggleButton = document.querySelector(`#${this.containerId} .toggle-button`);
+        if (!toggleButton) {
+            return;
+        }
+        
         const langContainer = toggleButton.querySelector('.lang-container');
         const langOptions = toggleButton.querySelectorAll('.lang-option');
         const sliderBg = toggleButton.querySelector('.slider-bg');
         
         // Set document language attribute only
-        if (language === 'ar') {
-            document.documentElement.setAttribute('lang', 'ar');
-        } else {
-            document.documentElement.setAttribute('lang', 'en');
-        }
+        document.documentElement.setAttribute('lang', language);
         
-        if (language === 'ar') {
-            // Arabic mode - keep LTR layout for button
-            toggleButton.style.direction = 'ltr';
-            langContainer.style.flexDirection = 'row';
-            
-            // Keep language options in original order
-            langOptions[0].textContent = 'EN';
-            langOptions[1].textContent = 'العربية';
-            
-            // Position slider on Arabic side (RIGHT side for Arabic active)
-            sliderBg.classList.add('slide-right');
-            // Remove any inline styles that might interfere with CSS transitions
-            sliderBg.style.removeProperty('left');
+        // Keep LTR layout for the button in every language
+        toggleButton.style.direction = 'ltr';
+        langContainer.style.flexDirection = 'row';
+        
+        // Position the slider under the active option: the CSS covers two options, more are laid out inline
+        const index = Math.max(this.languages.indexOf(language), 0);
+        if (this.languages.length <= 2) {
+            sliderBg.classList.toggle('slide-right', index === 1);
+            sliderBg.style.removeProperty('width');
             sliderBg.style.removeProperty('transform');
-            
-            // Update active/inactive states for Arabic
-            langOptions[0].classList.remove('active');
-            langOptions[0].classList.add('inactive');
-            langOptions[1].classList.remove('inactive');
-            langOptions[1].classList.add('active');
-
         } else {
-            // English mode - LTR layout
-            toggleButton.style.direction = 'ltr';
-            langContainer.style.flexDirection = 'row';
-            
-            // Keep language options in original order
-            langOptions[0].textContent = 'EN';
-            langOptions[1].textContent = 'العربية';
-            
-            // Position slider on English side (LEFT side for English active)
             sliderBg.classList.remove('slide-right');
-            // Remove any inline styles that might interfere with CSS transitions
-            sliderBg.style.removeProperty('left');
-            sliderBg.style.removeProperty('transform');
+            sliderBg.style.width = `calc((100% - 4px) / ${this.languages.length})`;
+            sliderBg.style.transform = `translateX(${index * 100}%)`;
+        }
+        // Remove any inline styles that might interfere with CSS transitions
+        sliderBg.style.removeProperty('left');
+        
+        // Update active/inactive states; only the checked radio is in the tab order
+        langOptions.forEach(option => {
+            const isActive = option.getAttribute('data-lang') === language;
+            option.classList.toggle('active', isActive);
+            option.classList.toggle('inactive', !isActive);
+            option.setAttribute('aria-checked', isActive);
+            option.setAttribute('tabindex', isActive ? '0' : '-1');
+        });
+        
+        // Group label in the page language
+        toggleButton.setAttribute('aria-label', this.getTranslation('common.languageSwitcher.label', language) || 'Language');
+    }
+    
+    /**
+     * Focus the checked radio
+     */
+    focusToggle() {
+        const option = document.querySelector(`#${this.containerId} .lang-option[aria-checked="true"]`);
+        if (option && document.activeElement !== option) {
+            option.focus({ preventScroll: true });
+        }
+    }
+    
+    /**
+     * Announce a language switch in the polite live region, worded in the new language
+     */
+    announceLanguageChange(language) {
+        const native = (this.languageInfo[language] || {}).native || language;
+        const message = this.getTranslation('common.languageSwitcher.changed', language);
+        this.announce(message ? message.replace('{language}', native) : native, language);
+    }
+    
+    /**
+     * Read a message to screen reader users without moving focus
+     * The live region is shared by all toggles on the page and carries the message's lang/dir
+     */
+    announce(message, language) {
+        let region = document.querySelector('.i18n-live-region');
+        if (!region) {
+            region = document.createElement('div');
+            region.className = 'i18n-live-region';
+            region.setAttribute('role', 'status');
+            region.setAttribute('aria-live', 'polite');
+            region.setAttribute('aria-atomic', 'true');
+            region.style.cssText = 'position:absolute;width:1px;height:1px;margin:-1px;padding:0;border:0;overflow:hidden;clip:rect(0 0 0 0);white-space:nowrap';
+            document.body.appendChild(region);
+        }
+        
+        region.setAttribute('lang', language);
+        region.setAttribute('dir', (this.languageInfo[language] || {}).direction || 'ltr');
+        region.textContent = '';
+        
+        // Written after a pause: a region that changes in the same tick it was cleared (or created) may be skipped
+        clearTimeout(SimpleLanguageToggle.announceTimer);
+        SimpleLanguageToggle.announceTimer = setTimeout(() => {
+            region.textContent = message;
+        }, 100);
+    }
+    
+    /**
+     * Path routing: leave the announcement and the focus for the page being loaded
+     */
+    rememberSwitch(language, hadFocus) {
+        try {
+            sessionStorage.setItem(SimpleLanguageToggle.switchStorageKey, language);
+            if (hadFocus) {
+                sessionStorage.setItem(SimpleLanguageToggle.focusStorageKey, this.containerId);
+            }
+        } catch (error) {
+            // Silent fail
+        }
+    }
+    
+    /**
+     * Announce the switch that loaded this page; the toggle that made it gets the focus back
+     */
+    restorePendingSwitch() {
+        try {
+            const language = sessionStorage.getItem(SimpleLanguageToggle.switchStorageKey);
+            if (language) {
+                sessionStorage.removeItem(SimpleLanguageToggle.switchStorageKey);
+                if (language === this.currentLanguage) {
+                    this.announceLanguageChange(language);
+                }
+            }
             
-            // Update active/inactive states for English
-            langOptions[0].classList.remove('inactive');
-            langOptions[0].classList.add('active');
-            langOptions[1].classList.remove('active');
-            langOptions[1].classList.add('inactive');
-
+            if (sessionStorage.getItem(SimpleLanguageToggle.focusStorageKey) === this.containerId) {
+                sessionStorage.removeItem(SimpleLanguageToggle.focusStorageKey);
+                this.focusToggle();
+            }
+        } catch (error) {
+            // Silent fail
         }
     }
     
     /**
      * Get stored language preference from localStorage
+     * (checked against the manifest's active languages once it loads)
      */
     getStoredLanguage() {
+        const isLanguageCode = (code) => /^[a-z]{2,3}(-[A-Za-z0-9]{2,8})*$/.test(code || '');
+        
+        // Pre-rendered copies (ar/about-us.html) are always in their own language
+        const prerendered = document.documentElement.getAttribute('data-i18n-prerendered');
+        if (isLanguageCode(prerendered)) {
+            return prerendered;
+        }
+        
+        // Explicit ?lang= links (hreflang alternates) win over the saved preference
+        const requested = new URLSearchParams(window.location.search).get('lang');
+        if (isLanguageCode(requested)) {
+            return requested;
+        }
+        
         try {
             const stored = localStorage.getItem('marln_language_preference');
-            return stored === 'ar' ? 'ar' : 'en';
+            return isLanguageCode(stored) ? stored : SimpleLanguageToggle.defaultLanguage;
         } catch (error) {
-            return 'en';
+            return SimpleLanguageToggle.defaultLanguage;
         }
     }
     
@@ -364,5 +819,33 @@ class SimpleLanguageToggle {
     }
 }
 
+// Shared across toggle instances (desktop and mobile apply the same page)
+SimpleLanguageToggle.reportedLanguages = new Set();
+
+// Base URL of the shared modules (utils/, config/), captured while this script runs
+SimpleLanguageToggle.scriptUrl = document.currentScript ? document.currentScript.src : window.location.href;
+SimpleLanguageToggle.modules = null;
+SimpleLanguageToggle.loadedModules = null;
+SimpleLanguageToggle.hotReload = null;
+
+// Keep in sync with LOCALIZATION_SETTINGS.language.defaultLanguage
+SimpleLanguageToggle.defaultLanguage = 'en';
+
+// Keep in sync with UI_SETTINGS.accessibility (announcement and focus across path-routed page loads)
+SimpleLanguageToggle.switchStorageKey = 'marln-language-switch';
+SimpleLanguageToggle.focusStorageKey = 'marln-language-toggle-focus';
+SimpleLanguageToggle.announceTimer = null;
+
+// Debug mode (?i18n-debug) reports markup stripped from rich-text translations
+SimpleLanguageToggle.debug = /[?&]i18n-debug(=|&|$)/.test(window.location.search);
+
 // Export for use
-window.SimpleLanguageToggle = SimpleLanguageToggle; 
\ No newline at end of file
+window.SimpleLanguageToggle = SimpleLanguageToggle;
+
+// Pages that only load this script expose the report on the same global as the full system
+if (!window.MarlnLocalization) {
+    window.MarlnLocalization = {
+        getMissingTranslations: (filter) => SimpleLanguageToggle.getMissingTranslations(filter),
+        exportMissingTranslations: (format, filter) => SimpleLanguageToggle.exportMissingTranslations(format, filter)
+    };
+} 
\ No newline at end of file
@@ -0,0 +1,132 @@
+#!/usr/bin/env node
+/**
+ * 🧾 Translations Manifest Builder
+ * Writes localization/languages/manifest.json with a content hash for every
+ * catalog source and namespace bundle so browsers can serve unchanged catalogs
+ * from their cache. Run it after editing any translation file.
+ *
+ * The manifest also lists every language with a catalog on disk, with its
+ * version, completeness (share of the default language's keys translated) and
+ * status: 'stable', 'beta' or 'hidden' per LOCALIZATION_SETTINGS.language.completeness.
+ * getActiveLanguages(), the toggles and preloading all read it, so a new
+ * language ships by adding localization/languages/<code>.json and rerunning this.
+ *
+ * Usage:
+ *   node localization/tools/build-manifest.mjs [--check]
+ *
+ *   --check  Exit non-zero when the manifest is out of date (no files written)
+ */
+
+import { readFile, writeFile, readdir } from 'node:fs/promises';
+import { existsSync } from 'node:fs';
+import { createHash } from 'node:crypto';
+import path from 'node:path';
+
+import { LOCALIZATION_SETTINGS } from '../config/settings.js';
+import { getLanguageInfo } from '../config/supported-languages.js';
+import { CatalogUtils } from '../utils/catalog.js';
+import { ROOT_DIR, urlToFile, catalogLanguages, readResolvedCatalog } from './catalog-files.mjs';
+
+const MANIFEST_FILE = urlToFile(LOCALIZATION_SETTINGS.catalog.manifest);
+
+function hash(content) {
+  return createHash('sha256').update(content).digest('hex').slice(0, 16);
+}
+
+async function readManifest() {
+  if (!existsSync(MANIFEST_FILE)) {
+    return { files: {}, languages: {} };
+  }
+  return JSON.parse(await readFile(MANIFEST_FILE, 'utf8'));
+}
+
+async function listBundles(languageCode) {
+  const pattern = LOCALIZATION_SETTINGS.catalog.namespaces.path.replace('{lang}', languageCode);
+  const directory = urlToFile(path.posix.dirname(pattern));
+  if (!existsSync(directory)) return [];
+
+  return (await readdir(directory))
+    .filter(name => name.endsWith('.json'))
+    .sort()
+    .map(name => pattern.replace('{ns}', name.slice(0, -'.json'.length)));
+}
+
+function releaseStatus(completeness) {
+  const thresholds = LOCALIZATION_SETTINGS.language.completeness;
+  if (completeness >= thresholds.stable) return 'stable';
+  return completeness >= thresholds.beta ? 'beta' : 'hidden';
+}
+
+async function buildManifest(previous) {
+  const files = {};
+  const languages = {};
+  const defaultLanguage = LOCALIZATION_SETTINGS.language.defaultLanguage;
+  const reference = (await readResolvedCatalog(defaultLanguage)).flat;
+
+  for (const languageCode of catalogLanguages()) {
+    const languageHashes = [];
+
+    for (const pattern of LOCALIZATION_SETTINGS.catalog.sources) {
+      const url = pattern.replace('{lang}', languageCode);
+      const file = urlToFile(url);
+      if (!existsSync(file)) continue;
+
+      files[url] = hash(await readFile(file));
+      languageHashes.push(files[url]);
+    }
+
+    // Namespace bundles from tools/split-namespaces.mjs
+    for (const url of await listBundles(languageCode)) {
+      files[url] = hash(await readFile(urlToFile(url)));
+    }
+
+    const { flat } = await readResolvedCatalog(languageCode);
+    const completeness = languageCode === defaultLanguage ? 100 : CatalogUtils.completeness(flat, reference);
+    const info = getLanguageInfo(languageCode);
+
+    // Keep any extra per-language metadata already in the manifest
+    languages[languageCode] = {
+      ...(previous.languages || {})[languageCode],
+      version: hash(languageHashes.join(':')),
+      keys: Object.keys(flat).length,
+      completeness,
+      status: languageCode === defaultLanguage ? 'stable' : releaseStatus(completeness),
+      // Display details for pages that only load simple-toggle.js
+      native: info.native,
+      label: info.label || info.native,
+      direction: info.direction,
+      locale: info.locale
+    };
+  }
+
+  return { ...previous, files, languages };
+}
+
+async function main() {
+  const check = process.argv.includes('--check');
+  const previous = await readManifest();
+  const manifest = await buildManifest(previous);
+  const output = `${JSON.stringify(manifest, null, 2)}\n`;
+
+  if (check) {
+    const current = existsSync(MANIFEST_FILE) ? await readFile(MANIFEST_FILE, 'utf8') : '';
+    if (current !== output) {
+      console.error('❌ Translations manifest is out of date. Run: node localization/tools/build-manifest.mjs');
+      process.exitCode = 1;
+      return;
+    }
+    console.log('✅ Translations manifest is up to date');
+    return;
+  }
+
+  await writeFile(MANIFEST_FILE, output, 'utf8');
+  console.log(`✅ Wrote ${path.relative(ROOT_DIR, MANIFEST_FILE)} (${Object.keys(manifest.files).length} files)`);
+  Object.entries(manifest.languages).forEach(([code, { completeness, status }]) => {
+    console.log(`   ${code}: ${completeness}% ${status}`);
+  });
+}
+
+main().catch(error => {
+  console.error('❌ Manifest build failed:', error.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,80 @@
+/**
+ * 📂 Catalog file helpers shared by the localization command-line tools
+ */
+
+import { readFile, readdir } from 'node:fs/promises';
+import { existsSync, readFileSync } from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+import { LOCALIZATION_SETTINGS } from '../config/settings.js';
+import { SUPPORTED_LANGUAGES, setLanguageManifest } from '../config/supported-languages.js';
+import { CatalogUtils } from '../utils/catalog.js';
+
+export const ROOT_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../..');
+
+/**
+ * Map a site URL ('/i18n/en.json') to a file in the repository
+ */
+export function urlToFile(url) {
+  return path.join(ROOT_DIR, url.replace(/^\//, ''));
+}
+
+/**
+ * Catalog source files for a language, in priority order
+ */
+export function sourceFiles(languageCode) {
+  return LOCALIZATION_SETTINGS.catalog.sources.map(pattern => urlToFile(pattern.replace('{lang}', languageCode)));
+}
+
+/**
+ * Languages with at least one catalog source on disk, whatever their manifest status;
+ * adding localization/languages/<code>.json is enough to add one
+ */
+export function catalogLanguages() {
+  return Object.keys(SUPPORTED_LANGUAGES)
+    .filter(code => !SUPPORTED_LANGUAGES[code].pseudo)
+    .filter(code => sourceFiles(code).some(file => existsSync(file)));
+}
+
+/**
+ * (Re)read localization/languages/manifest.json so getActiveLanguages() reflects it
+ */
+export function loadLanguageManifest() {
+  const file = urlToFile(LOCALIZATION_SETTINGS.catalog.manifest);
+  setLanguageManifest(existsSync(file) ? JSON.parse(readFileSync(file, 'utf8')) : null);
+}
+
+/**
+ * Read every existing catalog source for a language as { name, data }
+ */
+export async function readCatalogSources(languageCode) {
+  const sources = [];
+
+  for (const file of sourceFiles(languageCode)) {
+    if (!existsSync(file)) continue;
+    sources.push({
+      name: path.relative(ROOT_DIR, file),
+      data: JSON.parse(await readFile(file, 'utf8'))
+    });
+  }
+
+  return sources;
+}
+
+/**
+ * Read and merge all sources for a language into one resolved catalog
+ */
+export async function readResolvedCatalog(languageCode) {
+  const sources = await readCatalogSources(languageCode);
+  return { sources, ...CatalogUtils.merge(sources) };
+}
+
+/**
+ * Site pages (*.html in the repository root)
+ */
+export async function listPages() {
+  return (await readdir(ROOT_DIR)).filter(name => name.endsWith('.html')).sort();
+}
+
+loadLanguageManifest();
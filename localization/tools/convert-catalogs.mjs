@@ -0,0 +1,113 @@
+#!/usr/bin/env node
+/**
+ * 🔁 Translation Catalog Converter
+ * Merges every configured catalog source (flat i18n/*.json and nested
+ * localization/languages/*.json) and rewrites it as one canonical file per language.
+ *
+ * Usage:
+ *   node localization/tools/convert-catalogs.mjs [--format nested|flat] [--lang en,ar] [--dry-run] [--prune]
+ *
+ *   --format   Canonical shape to write (default: LOCALIZATION_SETTINGS.catalog.canonicalFormat)
+ *   --lang     Comma-separated language codes (default: every language with a catalog)
+ *   --dry-run  Report conflicts and key counts without writing files
+ *   --prune    Delete the secondary source files once they are merged
+ */
+
+import { writeFile, unlink } from 'node:fs/promises';
+import { existsSync } from 'node:fs';
+import path from 'node:path';
+
+import { LOCALIZATION_SETTINGS } from '../config/settings.js';
+import { CatalogUtils } from '../utils/catalog.js';
+import { ROOT_DIR, catalogLanguages, sourceFiles, readCatalogSources } from './catalog-files.mjs';
+
+function parseArgs(argv) {
+  const args = {
+    format: LOCALIZATION_SETTINGS.catalog.canonicalFormat,
+    languages: catalogLanguages(),
+    dryRun: false,
+    prune: false
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--format') {
+      args.format = argv[++i];
+    } else if (arg === '--lang') {
+      args.languages = argv[++i].split(',').map(code => code.trim()).filter(Boolean);
+    } else if (arg === '--dry-run') {
+      args.dryRun = true;
+    } else if (arg === '--prune') {
+      args.prune = true;
+    } else {
+      throw new Error(`Unknown argument: ${arg}`);
+    }
+  }
+
+  if (!['nested', 'flat'].includes(args.format)) {
+    throw new Error(`Unsupported format: ${args.format} (expected nested or flat)`);
+  }
+
+  return args;
+}
+
+async function convertLanguage(languageCode, { format, dryRun, prune }) {
+  const files = sourceFiles(languageCode);
+  const sources = await readCatalogSources(languageCode);
+
+  if (sources.length === 0) {
+    console.warn(`⚠️ No catalog sources found for ${languageCode}`);
+    return { conflicts: [] };
+  }
+
+  const { flat, conflicts } = CatalogUtils.merge(sources);
+  const target = files[0];
+
+  if (conflicts.length > 0) {
+    console.warn(`⚠️ ${conflicts.length} conflict(s) in ${languageCode} (first source wins):`);
+    console.warn(CatalogUtils.describeConflicts(languageCode, conflicts));
+  }
+
+  console.log(`📚 ${languageCode}: ${Object.keys(flat).length} keys from ${sources.map(source => source.name).join(', ')}`);
+
+  if (dryRun) {
+    return { conflicts };
+  }
+
+  await writeFile(target, `${JSON.stringify(CatalogUtils.toFormat(flat, format), null, 2)}\n`, 'utf8');
+  console.log(`✅ Wrote ${format} catalog: ${path.relative(ROOT_DIR, target)}`);
+
+  if (prune) {
+    for (const file of files.slice(1)) {
+      if (existsSync(file)) {
+        await unlink(file);
+        console.log(`🧹 Removed merged source: ${path.relative(ROOT_DIR, file)}`);
+      }
+    }
+  }
+
+  return { conflicts };
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  let conflictCount = 0;
+
+  for (const languageCode of args.languages) {
+    const { conflicts } = await convertLanguage(languageCode, args);
+    conflictCount += conflicts.length;
+  }
+
+  if (conflictCount > 0) {
+    console.log(`ℹ️ Resolved ${conflictCount} conflict(s); review them before committing.`);
+  }
+
+  if (!args.dryRun) {
+    console.log('ℹ️ Catalogs changed; regenerate bundles and cache versions with: node localization/tools/split-namespaces.mjs && node localization/tools/build-manifest.mjs');
+  }
+}
+
+main().catch(error => {
+  console.error('❌ Catalog conversion failed:', error.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,276 @@
+#!/usr/bin/env node
+/**
+ * 🔥 Localization Dev Server
+ * Serves the site locally and pushes translation changes to open pages over
+ * Server-Sent Events (DEV_SETTINGS.hotReload). When a catalog source such as
+ * localization/languages/ar.json changes, its namespace bundles, pre-rendered
+ * pages and the manifest are rebuilt, then pages reload that language in place.
+ * Other watched files (DEV_SETTINGS.hotReload.watchFiles) trigger a full reload.
+ *
+ * Usage:
+ *   node localization/tools/dev-server.mjs [--port 8080] [--host 127.0.0.1]
+ *
+ *   --port  Port to listen on (default: 8080)
+ *   --host  Interface to bind (default: 127.0.0.1)
+ */
+
+import { createServer } from 'node:http';
+import { createReadStream, existsSync, readdirSync, watch } from 'node:fs';
+import { stat } from 'node:fs/promises';
+import { execFile } from 'node:child_process';
+import { promisify } from 'node:util';
+import path from 'node:path';
+
+import { LOCALIZATION_SETTINGS, DEV_SETTINGS } from '../config/settings.js';
+import { getActiveLanguages } from '../config/supported-languages.js';
+import { ROOT_DIR, sourceFiles, urlToFile, catalogLanguages, loadLanguageManifest } from './catalog-files.mjs';
+
+const run = promisify(execFile);
+const TOOLS_DIR = path.join(ROOT_DIR, 'localization/tools');
+
+const MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.mjs': 'text/javascript; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.ico': 'image/x-icon',
+  '.woff': 'font/woff',
+  '.woff2': 'font/woff2',
+  '.ttf': 'font/ttf',
+  '.otf': 'font/otf',
+  '.pdf': 'application/pdf',
+  '.mp4': 'video/mp4',
+  '.txt': 'text/plain; charset=utf-8',
+  '.xml': 'application/xml; charset=utf-8'
+};
+
+function parseArgs(argv) {
+  const options = { port: 8080, host: '127.0.0.1' };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--port') {
+      options.port = Number(argv[++i]);
+    } else if (arg === '--host') {
+      options.host = argv[++i];
+    } else {
+      throw new Error(`Unknown option: ${arg}`);
+    }
+  }
+
+  return options;
+}
+
+/**
+ * '*.json' → /^[^/]*\.json$/ matched against file names
+ */
+function globToRegExp(glob) {
+  const source = glob.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '[^/]*').replace(/\?/g, '[^/]');
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Files written by the build tools; watching them would loop
+ */
+function isGenerated(relativePath) {
+  const [first, second] = relativePath.split(path.sep);
+  const languages = catalogLanguages();
+
+  return first === '.git'
+    || first === 'node_modules'
+    || languages.includes(first)
+    || (first === 'localization' && second === 'languages' && (
+      relativePath === path.relative(ROOT_DIR, urlToFile(LOCALIZATION_SETTINGS.catalog.manifest))
+      || languages.some(code => relativePath.startsWith(path.join('localization/languages', code) + path.sep))
+    ));
+}
+
+/**
+ * Language whose catalog source this file is, or null
+ */
+function catalogLanguage(file) {
+  return catalogLanguages().find(code => sourceFiles(code).includes(file)) || null;
+}
+
+class EventHub {
+  constructor() {
+    this.clients = new Set();
+  }
+
+  connect(request, response) {
+    response.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-store',
+      Connection: 'keep-alive'
+    });
+    response.write(`retry: ${DEV_SETTINGS.hotReload.reloadDelay}\n\n`);
+
+    this.clients.add(response);
+    request.on('close', () => this.clients.delete(response));
+  }
+
+  send(event, data) {
+    const message = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+    this.clients.forEach(response => response.write(message));
+  }
+
+  ping() {
+    this.clients.forEach(response => response.write(': ping\n\n'));
+  }
+}
+
+/**
+ * Static files from the repository root; directories serve index.html
+ */
+async function serveFile(request, response) {
+  const url = new URL(request.url, 'http://localhost');
+  let file = path.join(ROOT_DIR, decodeURIComponent(url.pathname));
+
+  if (!file.startsWith(ROOT_DIR + path.sep) && file !== ROOT_DIR) {
+    response.writeHead(403).end('Forbidden');
+    return;
+  }
+
+  try {
+    if ((await stat(file)).isDirectory()) {
+      file = path.join(file, 'index.html');
+    }
+  } catch {
+    // Reported as 404 below
+  }
+
+  if (!existsSync(file) || path.basename(file).startsWith('.')) {
+    response.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' }).end(`Not found: ${url.pathname}`);
+    return;
+  }
+
+  response.writeHead(200, {
+    'Content-Type': MIME_TYPES[path.extname(file).toLowerCase()] || 'application/octet-stream',
+    'Cache-Control': 'no-store'
+  });
+  createReadStream(file).pipe(response);
+}
+
+/**
+ * Rebuild everything derived from a language's catalog; the manifest comes
+ * before the pages since it decides which languages are active
+ */
+async function rebuildLanguage(languageCode) {
+  await run(process.execPath, [path.join(TOOLS_DIR, 'split-namespaces.mjs'), '--lang', languageCode], { cwd: ROOT_DIR });
+  await run(process.execPath, [path.join(TOOLS_DIR, 'build-manifest.mjs')], { cwd: ROOT_DIR });
+  loadLanguageManifest();
+
+  const defaultLanguage = LOCALIZATION_SETTINGS.language.defaultLanguage;
+  const active = getActiveLanguages();
+  // Other languages' pages fall back to the default language's strings
+  const prerendered = languageCode === defaultLanguage
+    ? active.filter(code => code !== defaultLanguage)
+    : active.filter(code => code === languageCode);
+
+  if (prerendered.length > 0) {
+    await run(process.execPath, [path.join(TOOLS_DIR, 'prerender.mjs'), '--lang', prerendered.join(',')], { cwd: ROOT_DIR });
+  }
+}
+
+/**
+ * Watch the whole tree: one recursive watcher where fs.watch supports it (macOS,
+ * Windows, Linux from Node 19.1), otherwise one watcher per directory; directories
+ * created while the server runs are then not watched until it restarts
+ */
+function watchTree(onChange) {
+  try {
+    watch(ROOT_DIR, { recursive: true }, (eventType, relativePath) => onChange(relativePath));
+    return;
+  } catch (error) {
+    if (error.code !== 'ERR_FEATURE_UNAVAILABLE_ON_PLATFORM') throw error;
+  }
+
+  const watchDirectory = (relativeDirectory) => {
+    const directory = path.join(ROOT_DIR, relativeDirectory);
+    watch(directory, (eventType, name) => {
+      if (name) onChange(path.join(relativeDirectory, name));
+    });
+
+    readdirSync(directory, { withFileTypes: true })
+      .filter(entry => entry.isDirectory() && !isGenerated(path.join(relativeDirectory, entry.name)))
+      .forEach(entry => watchDirectory(path.join(relativeDirectory, entry.name)));
+  };
+
+  watchDirectory('');
+}
+
+function watchFiles(hub) {
+  const patterns = DEV_SETTINGS.hotReload.watchFiles.map(globToRegExp);
+  const timers = new Map();
+
+  const handleChange = async (relativePath) => {
+    const file = path.join(ROOT_DIR, relativePath);
+    const languageCode = catalogLanguage(file);
+
+    if (!languageCode) {
+      console.log(`🔄 ${relativePath} changed, reloading pages`);
+      hub.send('reload', { file: relativePath });
+      return;
+    }
+
+    try {
+      await rebuildLanguage(languageCode);
+      console.log(`🔥 ${relativePath} changed, reloading ${languageCode} catalog`);
+      hub.send('catalog', { language: languageCode, file: relativePath });
+    } catch (error) {
+      // Usually a JSON syntax error mid-edit; the next save retries
+      console.error(`❌ Could not rebuild ${languageCode}:`, (error.stderr || error.message).trim());
+    }
+  };
+
+  watchTree((relativePath) => {
+    if (!relativePath || isGenerated(relativePath)) return;
+    if (!patterns.some(pattern => pattern.test(path.basename(relativePath)))) return;
+
+    // Editors write files in several steps; wait for them to settle
+    clearTimeout(timers.get(relativePath));
+    timers.set(relativePath, setTimeout(() => {
+      timers.delete(relativePath);
+      handleChange(relativePath);
+    }, DEV_SETTINGS.hotReload.reloadDelay));
+  });
+}
+
+async function main() {
+  const { port, host } = parseArgs(process.argv.slice(2));
+  const endpoint = DEV_SETTINGS.hotReload.endpoint;
+  const hub = new EventHub();
+
+  const server = createServer((request, response) => {
+    if (request.url === endpoint) {
+      hub.connect(request, response);
+      return;
+    }
+
+    serveFile(request, response).catch(error => {
+      console.error(`❌ ${request.url}:`, error.message);
+      if (!response.headersSent) response.writeHead(500);
+      response.end();
+    });
+  });
+
+  watchFiles(hub);
+  setInterval(() => hub.ping(), 30000).unref();
+
+  server.listen(port, host, () => {
+    console.log(`🚀 Serving ${ROOT_DIR} at http://${host === '0.0.0.0' ? 'localhost' : host}:${port}/`);
+    console.log(`👀 Watching ${DEV_SETTINGS.hotReload.watchFiles.join(', ')} (events at ${endpoint})`);
+  });
+}
+
+main().catch(error => {
+  console.error('❌ Dev server failed:', error.message);
+  process.exitCode = 1;
+});
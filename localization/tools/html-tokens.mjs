@@ -0,0 +1,124 @@
+/**
+ * 🏷️ Minimal HTML tag scanner shared by the localization command-line tools
+ * Finds start/end tags without a DOM; comments and <script>/<style> bodies are
+ * skipped so their contents are never mistaken for markup.
+ */
+
+export const VOID_ELEMENTS = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'param', 'source', 'track', 'wbr']);
+
+// Comments, raw-text elements (whose start tag is still captured) and tags
+const TOKEN_PATTERN = /<!--[\s\S]*?-->|<(script|style)\b((?:[^>"']|"[^"]*"|'[^']*')*)>[\s\S]*?<\/\1\s*>|<(\/?)([a-zA-Z][\w:-]*)((?:[^>"']|"[^"]*"|'[^']*')*)>/g;
+const ATTRIBUTE_PATTERN = /([^\s"'>\/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+
+export function escapeText(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+export function escapeAttribute(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/"/g, '&quot;');
+}
+
+export function decodeAttribute(text) {
+  return text.replace(/&quot;/g, '"').replace(/&#39;|&apos;/g, "'").replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&');
+}
+
+/**
+ * A start tag whose attributes can be read and rewritten
+ */
+export class Tag {
+  constructor(name, rawAttributes) {
+    this.name = name.toLowerCase();
+    this.attributes = [];
+    this.changed = false;
+
+    for (const [, attribute, doubleQuoted, singleQuoted, bare] of rawAttributes.matchAll(ATTRIBUTE_PATTERN)) {
+      if (attribute === '/') continue;
+      const raw = doubleQuoted ?? singleQuoted ?? bare;
+      this.attributes.push({ name: attribute.toLowerCase(), raw: raw === undefined ? null : raw, quote: singleQuoted !== undefined ? "'" : '"' });
+    }
+  }
+
+  has(name) {
+    return this.attributes.some(attribute => attribute.name === name);
+  }
+
+  get(name) {
+    const attribute = this.attributes.find(entry => entry.name === name);
+    return attribute && attribute.raw !== null ? decodeAttribute(attribute.raw) : (attribute ? '' : null);
+  }
+
+  set(name, value) {
+    const raw = escapeAttribute(value);
+    const attribute = this.attributes.find(entry => entry.name === name);
+
+    if (attribute) {
+      if (attribute.raw === raw && attribute.quote === '"') return;
+      attribute.raw = raw;
+      attribute.quote = '"';
+    } else {
+      this.attributes.push({ name, raw, quote: '"' });
+    }
+    this.changed = true;
+  }
+
+  setRaw(name, raw) {
+    const attribute = this.attributes.find(entry => entry.name === name);
+    attribute.raw = raw;
+    this.changed = true;
+  }
+
+  addClass(className) {
+    const classes = (this.get('class') || '').split(/\s+/).filter(Boolean);
+    if (!classes.includes(className)) {
+      this.set('class', [...classes, className].join(' '));
+    }
+  }
+
+  toString() {
+    const attributes = this.attributes.map(({ name, raw, quote }) => (raw === null ? name : `${name}=${quote}${raw}${quote}`));
+    return `<${this.name}${attributes.map(attribute => ` ${attribute}`).join('')}>`;
+  }
+}
+
+/**
+ * Split HTML into start/end tag tokens (text is left in place)
+ */
+export function tokenize(html) {
+  const tokens = [];
+
+  for (const match of html.matchAll(TOKEN_PATTERN)) {
+    const [source, rawTextName, rawTextAttributes, closing, name, rawAttributes] = match;
+    const start = match.index;
+
+    if (rawTextName) {
+      // Only the start tag of <script>/<style> is rewritable; the body is opaque
+      const tagEnd = start + source.indexOf('>') + 1;
+      tokens.push({ type: 'start', name: rawTextName.toLowerCase(), start, end: tagEnd, attributes: rawTextAttributes, raw: true });
+    } else if (name) {
+      tokens.push({ type: closing ? 'end' : 'start', name: name.toLowerCase(), start, end: start + source.length, attributes: rawAttributes });
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Index of the end tag closing tokens[index], or -1
+ */
+export function findClosingToken(tokens, index) {
+  const { name } = tokens[index];
+  let depth = 0;
+
+  for (let i = index + 1; i < tokens.length; i++) {
+    if (tokens[i].name !== name) continue;
+    if (tokens[i].type === 'start') {
+      depth++;
+    } else if (depth === 0) {
+      return i;
+    } else {
+      depth--;
+    }
+  }
+
+  return -1;
+}
@@ -0,0 +1,229 @@
+#!/usr/bin/env node
+/**
+ * 🔍 Translation Key Linter
+ * Checks the keys used by the site pages (data-i18n, data-i18n-placeholder,
+ * -value, -title, -html, -attr and data-i18n-meta) and by the runtime scripts
+ * (getTranslation('...') calls, full key literals in localization/components/)
+ * against every language catalog.
+ *
+ * Errors:   missing keys, ICU placeholders that differ from the default language
+ * Warnings: unused catalog keys, translations identical to the default language
+ *
+ * Usage:
+ *   node localization/tools/lint-keys.mjs [--json] [--strict] [--lang en,ar]
+ *
+ *   --json    Print the report as JSON
+ *   --strict  Treat warnings as errors
+ *   --lang    Only check these languages (default: every language with a catalog)
+ */
+
+import { readFile, readdir } from 'node:fs/promises';
+import path from 'node:path';
+
+import { LOCALIZATION_SETTINGS } from '../config/settings.js';
+import { MessageFormat } from '../utils/message-format.js';
+import { DOMHelpers } from '../utils/dom-helpers.js';
+import { ROOT_DIR, catalogLanguages, readResolvedCatalog, listPages } from './catalog-files.mjs';
+import { Tag, tokenize } from './html-tokens.mjs';
+
+const KEY_ATTRIBUTES = ['data-i18n', 'data-i18n-placeholder', 'data-i18n-value', 'data-i18n-title', 'data-i18n-html'];
+const SCRIPT_DIRS = ['localization'];
+const TRANSLATION_CALL = /getTranslation\(\s*(['"])([^'"`$]+)\1/g;
+// UI components render their own data-i18n bindings from key constants
+const COMPONENTS_DIR = path.join('localization', 'components');
+const KEY_LITERAL = /(['"])((?:[A-Za-z]\w*\.)+[A-Za-z]\w*)\1/g;
+
+function parseArgs(argv) {
+  const options = { json: false, strict: false, languages: catalogLanguages() };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--json') {
+      options.json = true;
+    } else if (arg === '--strict') {
+      options.strict = true;
+    } else if (arg === '--lang') {
+      options.languages = argv[++i].split(',').map(code => code.trim()).filter(Boolean);
+    } else {
+      throw new Error(`Unknown option: ${arg}`);
+    }
+  }
+
+  return options;
+}
+
+function lineAt(text, offset) {
+  return text.slice(0, offset).split('\n').length;
+}
+
+/**
+ * Keys bound by one page, as a Map of key → ["page.html:line", ...]
+ */
+function collectPageKeys(page, html, usages) {
+  const add = (key, offset) => {
+    if (!key || key.includes('${')) return;
+    if (!usages.has(key)) usages.set(key, []);
+    usages.get(key).push(`${page}:${lineAt(html, offset)}`);
+  };
+
+  tokenize(html).forEach(token => {
+    if (token.type !== 'start' || !token.attributes.includes('data-i18n')) return;
+
+    const tag = new Tag(token.name, token.attributes);
+    KEY_ATTRIBUTES.forEach(attribute => add(tag.get(attribute), token.start));
+    DOMHelpers.parseAttributeBindings(tag.get('data-i18n-attr')).forEach(({ key }) => add(key, token.start));
+
+    const metaPrefix = tag.get('data-i18n-meta');
+    if (metaPrefix) {
+      add(`${metaPrefix}.title`, token.start);
+      add(`${metaPrefix}.description`, token.start);
+    }
+  });
+}
+
+/**
+ * Runtime scripts that may look keys up directly
+ */
+async function listScripts(directory) {
+  const files = [];
+
+  for (const entry of await readdir(directory, { withFileTypes: true })) {
+    const fullPath = path.join(directory, entry.name);
+    if (entry.isDirectory()) {
+      if (entry.name !== 'tools') files.push(...await listScripts(fullPath));
+    } else if (entry.name.endsWith('.js')) {
+      files.push(fullPath);
+    }
+  }
+
+  return files;
+}
+
+async function collectUsages() {
+  const usages = new Map();
+
+  for (const page of await listPages()) {
+    collectPageKeys(page, await readFile(path.join(ROOT_DIR, page), 'utf8'), usages);
+  }
+
+  for (const directory of SCRIPT_DIRS) {
+    for (const file of await listScripts(path.join(ROOT_DIR, directory))) {
+      const source = await readFile(file, 'utf8');
+      const isComponent = path.relative(ROOT_DIR, file).startsWith(COMPONENTS_DIR + path.sep);
+      const matches = [...source.matchAll(TRANSLATION_CALL), ...(isComponent ? source.matchAll(KEY_LITERAL) : [])];
+      for (const match of matches) {
+        const key = match[2];
+        if (!usages.has(key)) usages.set(key, []);
+        usages.get(key).push(`${path.relative(ROOT_DIR, file)}:${lineAt(source, match.index)}`);
+      }
+    }
+  }
+
+  return usages;
+}
+
+/**
+ * Argument names of a message, or an error string when it does not parse
+ */
+function argumentsOf(value) {
+  try {
+    return { names: MessageFormat.getArgumentNames(value) };
+  } catch (error) {
+    return { error: error.message };
+  }
+}
+
+function lint(usages, catalogs, defaultLanguage) {
+  const report = { missing: [], placeholders: [], unused: [], identical: [] };
+  const reference = catalogs[defaultLanguage] || {};
+
+  // Used keys must resolve to a string in every language
+  [...usages.keys()].sort().forEach(key => {
+    Object.entries(catalogs).forEach(([language, catalog]) => {
+      if (typeof catalog[key] !== 'string' && !Array.isArray(catalog[key])) {
+        report.missing.push({ key, language, usedIn: usages.get(key) });
+      }
+    });
+  });
+
+  Object.entries(catalogs).forEach(([language, catalog]) => {
+    Object.keys(catalog).sort().forEach(key => {
+      const value = catalog[key];
+      if (typeof value !== 'string') return;
+
+      const actual = argumentsOf(value);
+      if (actual.error) {
+        report.placeholders.push({ key, language, error: actual.error });
+        return;
+      }
+
+      if (language === defaultLanguage || typeof reference[key] !== 'string') return;
+
+      const expected = argumentsOf(reference[key]);
+      if (!expected.error && expected.names.join(',') !== actual.names.join(',')) {
+        report.placeholders.push({ key, language, expected: expected.names, actual: actual.names });
+      }
+
+      // Numbers, symbols and the like are legitimately identical
+      if (value === reference[key] && /\p{L}{2,}/u.test(value)) {
+        report.identical.push({ key, language, value });
+      }
+    });
+  });
+
+  // Keys no page or script refers to
+  const catalogKeys = new Set(Object.values(catalogs).flatMap(catalog => Object.keys(catalog)));
+  [...catalogKeys].sort().forEach(key => {
+    if (!usages.has(key)) {
+      report.unused.push({ key, languages: Object.keys(catalogs).filter(language => key in catalogs[language]) });
+    }
+  });
+
+  return report;
+}
+
+function printReport(report) {
+  const section = (icon, title, items, format) => {
+    if (items.length === 0) return;
+    console.log(`\n${icon} ${title} (${items.length})`);
+    items.forEach(item => console.log(`  ${format(item)}`));
+  };
+
+  section('❌', 'Missing keys', report.missing, ({ key, language, usedIn }) => `[${language}] ${key}  (${usedIn.slice(0, 3).join(', ')}${usedIn.length > 3 ? ', ...' : ''})`);
+  section('❌', 'Placeholder mismatches', report.placeholders, ({ key, language, error, expected, actual }) => (
+    error ? `[${language}] ${key}: ${error}` : `[${language}] ${key}: expected {${expected.join('}, {')}} got {${actual.join('}, {')}}`
+  ));
+  section('⚠️', 'Identical to default language', report.identical, ({ key, language, value }) => `[${language}] ${key}: ${JSON.stringify(value)}`);
+  section('⚠️', 'Unused keys', report.unused, ({ key, languages }) => `${key}  [${languages.join(', ')}]`);
+}
+
+async function main() {
+  const { json, strict, languages } = parseArgs(process.argv.slice(2));
+  const defaultLanguage = LOCALIZATION_SETTINGS.language.defaultLanguage;
+  const usages = await collectUsages();
+  const catalogs = {};
+
+  for (const languageCode of new Set([defaultLanguage, ...languages])) {
+    catalogs[languageCode] = (await readResolvedCatalog(languageCode)).flat;
+  }
+
+  const report = lint(usages, catalogs, defaultLanguage);
+  const errors = report.missing.length + report.placeholders.length;
+  const warnings = report.unused.length + report.identical.length;
+
+  if (json) {
+    console.log(JSON.stringify({ summary: { keysUsed: usages.size, errors, warnings }, ...report }, null, 2));
+  } else {
+    printReport(report);
+    console.log(`\n📊 ${usages.size} keys used, ${errors} error(s), ${warnings} warning(s)`);
+  }
+
+  if (errors > 0 || (strict && warnings > 0)) {
+    process.exitCode = 1;
+  }
+}
+
+main().catch(error => {
+  console.error('❌ Key lint failed:', error.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,380 @@
+#!/usr/bin/env node
+/**
+ * 🖨️ Static Page Pre-renderer
+ * Writes fully translated copies of the site pages (e.g. ar/about-us.html) so
+ * translated content is in the HTML itself: no flash of English and visible
+ * to crawlers that don't run JavaScript. Applies data-i18n, data-i18n-html,
+ * data-i18n-placeholder/-value/-title and data-i18n-attr bindings, sets
+ * lang/dir/rtl classes like updateHTMLAttributes(), isolates Latin runs on RTL
+ * pages (RTL_SETTINGS.bidi) and localizes the head.
+ * The runtime sees <html data-i18n-prerendered="ar"> and skips re-translating.
+ * Default-language pages are the sources themselves: only their head
+ * (canonical, hreflang alternates, Open Graph) is rewritten in place.
+ *
+ * Usage:
+ *   node localization/tools/prerender.mjs [--lang ar] [--check]
+ *
+ *   --lang   Languages to render (default: every active language)
+ *   --check  Exit non-zero when a rendered page is out of date (no files written)
+ */
+
+import { readFile, writeFile, mkdir } from 'node:fs/promises';
+import { existsSync } from 'node:fs';
+import path from 'node:path';
+
+import { LOCALIZATION_SETTINGS, RTL_SETTINGS } from '../config/settings.js';
+import { getActiveLanguages, getLanguageInfo, isRTL } from '../config/supported-languages.js';
+import { MessageFormat } from '../utils/message-format.js';
+import { LocaleFormatter } from '../utils/formatters.js';
+import { HTMLSanitizer } from '../utils/html-sanitizer.js';
+import { BidiUtils } from '../utils/bidi.js';
+import { DOMHelpers } from '../utils/dom-helpers.js';
+import { SEOHead } from '../utils/seo-head.js';
+import { ROOT_DIR, readResolvedCatalog, listPages } from './catalog-files.mjs';
+import { VOID_ELEMENTS, Tag, tokenize, findClosingToken, escapeText, escapeAttribute } from './html-tokens.mjs';
+
+const URL_ATTRIBUTES = new Set(['href', 'src', 'action', 'poster']);
+const ATTRIBUTE_SHORTHANDS = {
+  'data-i18n-placeholder': 'placeholder',
+  'data-i18n-value': 'value',
+  'data-i18n-title': 'title'
+};
+
+function parseArgs(argv) {
+  const options = { languages: getActiveLanguages(), check: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--lang') {
+      options.languages = argv[++i].split(',').map(code => code.trim()).filter(Boolean);
+    } else if (arg === '--check') {
+      options.check = true;
+    } else {
+      throw new Error(`Unknown option: ${arg}`);
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Renders one page in one language
+ */
+class PageRenderer {
+  constructor({ page, languageCode, catalog, fallbackCatalog, pages, assetPrefix }) {
+    this.page = page;
+    this.languageCode = languageCode;
+    this.catalog = catalog;
+    this.fallbackCatalog = fallbackCatalog;
+    this.pages = pages;
+    this.assetPrefix = assetPrefix;
+    this.bidi = RTL_SETTINGS.bidi.enabled && isRTL(languageCode) ? RTL_SETTINGS.bidi : null;
+    this.missing = new Set();
+    this.stripped = [];
+  }
+
+  /**
+   * Catalog value for a key, falling back to the default language
+   */
+  translate(key, argsJSON = null) {
+    let value = this.catalog[key];
+    if (value === undefined) {
+      this.missing.add(key);
+      value = this.fallbackCatalog[key];
+    }
+    if (typeof value !== 'string') return null;
+
+    // Like the engine, every string goes through the formatter, with or without args
+    let args = {};
+    if (argsJSON) {
+      try {
+        args = JSON.parse(argsJSON);
+      } catch (error) {
+        console.warn(`⚠️ Invalid data-i18n-args for "${key}": ${argsJSON}`);
+      }
+    }
+    return MessageFormat.format(value, args, LocaleFormatter.getLocale(getLanguageInfo(this.languageCode)), {
+      isolate: Boolean(this.bidi && this.bidi.isolateArguments)
+    });
+  }
+
+  richText(key, value) {
+    const { html, removed } = HTMLSanitizer.sanitizeToString(value);
+    if (removed.length > 0) {
+      this.stripped.push(`${key}: ${removed.join(', ')}`);
+    }
+    return this.bidi && this.bidi.isolateLatinRuns ? BidiUtils.isolateHTML(html, this.bidi) : html;
+  }
+
+  /**
+   * Escape plain text, isolating Latin runs like LocalizationEngine.isolateBidiText()
+   */
+  plainText(value) {
+    return this.bidi && this.bidi.isolateLatinRuns ? BidiUtils.toHTML(value, this.bidi) : escapeText(value);
+  }
+
+  /**
+   * Point relative asset URLs back at the site root; relative links to other
+   * pages stay relative and root-relative ones get the language prefix, so
+   * both resolve to the translated copies
+   */
+  rewriteUrl(tag, attribute) {
+    const value = tag.get(attribute);
+    if (!value) return;
+
+    if (/^\/[^/]/.test(value) && this.pages.includes(value.slice(1).split(/[?#]/)[0])) {
+      tag.set(attribute, `/${this.languageCode}${value}`);
+      return;
+    }
+
+    if (/^([a-z][a-z0-9+.-]*:|\/|#|\{)/i.test(value)) return;
+
+    const file = value.split(/[?#]/)[0];
+    if (this.pages.includes(file)) return;
+
+    const raw = tag.attributes.find(entry => entry.name === attribute).raw;
+    tag.setRaw(attribute, this.assetPrefix + raw);
+  }
+
+  /**
+   * Apply translations, returning { tag, content } changes for one start tag
+   */
+  renderTag(tag) {
+    let content = null;
+    const args = tag.get('data-i18n-args');
+
+    URL_ATTRIBUTES.forEach(attribute => {
+      if (tag.has(attribute)) this.rewriteUrl(tag, attribute);
+    });
+
+    // Email/phone fields never flip with the page (LocalizationEngine.updateInputDirection)
+    if (tag.name === 'input' && RTL_SETTINGS.bidi.enabled && RTL_SETTINGS.bidi.ltrInputTypes.includes((tag.get('type') || '').toLowerCase())) {
+      tag.set('dir', 'ltr');
+    }
+
+    const key = tag.get('data-i18n');
+    if (key) {
+      const translation = this.translate(key, args);
+      if (translation !== null) {
+        if (tag.name === 'input' || tag.name === 'textarea' || tag.has('placeholder')) {
+          if (tag.has('placeholder')) tag.set('placeholder', translation);
+        } else if (HTMLSanitizer.isHtmlKey(key)) {
+          content = this.richText(key, translation);
+        } else {
+          content = this.plainText(translation);
+        }
+      }
+    }
+
+    const htmlKey = tag.get('data-i18n-html');
+    if (htmlKey) {
+      const translation = this.translate(htmlKey, args);
+      if (translation !== null) content = this.richText(htmlKey, translation);
+    }
+
+    const bindings = DOMHelpers.parseAttributeBindings(tag.get('data-i18n-attr'));
+    Object.entries(ATTRIBUTE_SHORTHANDS).forEach(([shorthand, attribute]) => {
+      const shorthandKey = tag.get(shorthand);
+      if (shorthandKey) bindings.push({ attribute, key: shorthandKey });
+    });
+
+    bindings.forEach(({ attribute, key: bindingKey }) => {
+      const translation = this.translate(bindingKey, args);
+      if (translation === null) return;
+
+      // Same rules as DOMHelpers.updateElementAttribute
+      if (!DOMHelpers.isSafeAttribute(attribute, translation)) {
+        this.stripped.push(`${bindingKey}: refused ${attribute}`);
+        return;
+      }
+      tag.set(attribute, translation);
+    });
+
+    return content;
+  }
+
+  /**
+   * Set lang/dir and the rtl/lang-* classes like updateHTMLAttributes()
+   */
+  renderRootTag(tag) {
+    const direction = isRTL(this.languageCode) ? 'rtl' : 'ltr';
+    tag.set('lang', this.languageCode);
+    tag.set('dir', direction);
+    if (direction === 'rtl') tag.addClass('rtl');
+    tag.addClass(`lang-${this.languageCode}`);
+    tag.set('data-i18n-prerendered', this.languageCode);
+  }
+
+  render(html) {
+    const tokens = tokenize(html);
+    const edits = [];
+    let skipUntil = -1;
+
+    tokens.forEach((token, index) => {
+      if (token.type !== 'start' || token.start < skipUntil) return;
+
+      const tag = new Tag(token.name, token.attributes);
+      let content = null;
+
+      if (token.name === 'html') {
+        this.renderRootTag(tag);
+      } else if (token.name === 'body') {
+        if (isRTL(this.languageCode)) tag.addClass('rtl');
+      } else {
+        content = this.renderTag(tag);
+      }
+
+      if (tag.changed) {
+        const source = html.slice(token.start, token.end);
+        // Keep the original tag's trailing "/>" or raw-text start tag shape
+        edits.push({ start: token.start, end: token.end, text: tag.toString().replace(/>$/, source.endsWith('/>') ? ' />' : '>') });
+      }
+
+      if (content !== null && !token.raw && !VOID_ELEMENTS.has(token.name)) {
+        const closing = findClosingToken(tokens, index);
+        if (closing === -1) {
+          console.warn(`⚠️ Unclosed <${token.name}> at offset ${token.start}; content left untranslated`);
+          return;
+        }
+        edits.push({ start: token.end, end: tokens[closing].start, text: content });
+        skipUntil = tokens[closing].start;
+      }
+    });
+
+    let output = html;
+    edits.sort((a, b) => b.start - a.start).forEach(({ start, end, text }) => {
+      output = output.slice(0, start) + text + output.slice(end);
+    });
+
+    return this.renderHead(output);
+  }
+
+  /**
+   * Localize title, description, Open Graph and alternate/canonical links
+   */
+  renderHead(html) {
+    const prefix = (html.match(/<html\b[^>]*\sdata-i18n-meta="([^"]+)"/) || [])[1];
+    const getUrl = code => {
+      // Default-language pages live at the root, translated copies under /<code>/
+      const pagePath = code === LOCALIZATION_SETTINGS.language.defaultLanguage ? `/${this.page}` : `/${code}/${this.page}`;
+      return new URL(pagePath, LOCALIZATION_SETTINGS.seo.siteUrl).toString();
+    };
+
+    const head = SEOHead.build({
+      language: this.languageCode,
+      languages: getActiveLanguages(),
+      defaultLanguage: LOCALIZATION_SETTINGS.language.defaultLanguage,
+      getLocale: code => getLanguageInfo(code).locale,
+      getUrl,
+      title: prefix ? this.translate(`${prefix}.title`) : null,
+      description: prefix ? this.translate(`${prefix}.description`) : null,
+      settings: LOCALIZATION_SETTINGS.seo
+    });
+
+    let output = html;
+
+    if (head.title) {
+      output = output.replace(/<title>[\s\S]*?<\/title>/, `<title>${escapeText(head.title)}</title>`);
+    }
+
+    // Repeated tags are rewritten as a group
+    output = output
+      .replace(/[ \t]*<meta\s[^>]*property="og:locale:alternate"[^>]*>\n?/g, '')
+      .replace(/[ \t]*<link\s[^>]*rel="alternate"[^>]*hreflang="[^"]*"[^>]*>\n?/g, '');
+
+    const additions = [];
+
+    head.meta.forEach(({ name, property, content }) => {
+      const attribute = name ? 'name' : 'property';
+      const value = name || property;
+      const tagHTML = `<meta ${attribute}="${value}" content="${escapeAttribute(content)}">`;
+      const existing = new RegExp(`<meta\\s[^>]*${attribute}="${value.replace(/[.:]/g, '\\$&')}"[^>]*>`);
+
+      if (value !== 'og:locale:alternate' && existing.test(output)) {
+        output = output.replace(existing, tagHTML);
+      } else {
+        additions.push(tagHTML);
+      }
+    });
+
+    head.links.forEach(({ rel, href, hreflang }) => {
+      const tagHTML = hreflang
+        ? `<link rel="${rel}" hreflang="${hreflang}" href="${escapeAttribute(href)}">`
+        : `<link rel="${rel}" href="${escapeAttribute(href)}">`;
+      const existing = new RegExp(`<link\\s[^>]*rel="${rel}"[^>]*>`);
+
+      if (!hreflang && existing.test(output)) {
+        output = output.replace(existing, tagHTML);
+      } else {
+        additions.push(tagHTML);
+      }
+    });
+
+    return output.replace(/<\/head>/, `${additions.join('\n')}\n</head>`);
+  }
+}
+
+async function renderLanguage(languageCode, pages, fallbackCatalog, check) {
+  const { sources, flat } = await readResolvedCatalog(languageCode);
+  if (sources.length === 0) {
+    throw new Error(`No catalog sources for ${languageCode}`);
+  }
+
+  const isDefault = languageCode === LOCALIZATION_SETTINGS.language.defaultLanguage;
+  const outputDir = isDefault ? ROOT_DIR : path.join(ROOT_DIR, languageCode);
+  const assetPrefix = isDefault ? '' : `${path.relative(outputDir, ROOT_DIR).split(path.sep).join('/')}/`;
+  let upToDate = true;
+
+  for (const page of pages) {
+    const renderer = new PageRenderer({ page, languageCode, catalog: flat, fallbackCatalog, pages, assetPrefix });
+
+    const source = await readFile(path.join(ROOT_DIR, page), 'utf8');
+    const output = isDefault ? renderer.renderHead(source) : renderer.render(source);
+    const target = path.join(outputDir, page);
+    const relativeTarget = path.relative(ROOT_DIR, target);
+
+    if (renderer.missing.size > 0) {
+      console.warn(`⚠️ ${relativeTarget}: ${renderer.missing.size} key(s) missing in ${languageCode}, used fallback: ${[...renderer.missing].slice(0, 5).join(', ')}${renderer.missing.size > 5 ? ', ...' : ''}`);
+    }
+    renderer.stripped.forEach(item => console.warn(`⚠️ ${relativeTarget}: stripped ${item}`));
+
+    const current = existsSync(target) ? await readFile(target, 'utf8') : null;
+    if (current === output) continue;
+    upToDate = false;
+
+    if (check) {
+      console.error(`❌ ${relativeTarget} is out of date`);
+    } else {
+      await mkdir(outputDir, { recursive: true });
+      await writeFile(target, output, 'utf8');
+      console.log(`✅ Wrote ${relativeTarget}`);
+    }
+  }
+
+  return upToDate;
+}
+
+async function main() {
+  const { languages, check } = parseArgs(process.argv.slice(2));
+  const pages = await listPages();
+  const { flat: fallbackCatalog } = await readResolvedCatalog(LOCALIZATION_SETTINGS.language.fallbackLanguage);
+  let upToDate = true;
+
+  for (const languageCode of languages) {
+    upToDate = (await renderLanguage(languageCode, pages, fallbackCatalog, check)) && upToDate;
+  }
+
+  if (check) {
+    if (!upToDate) {
+      console.error('❌ Pre-rendered pages are out of date. Run: node localization/tools/prerender.mjs');
+      process.exitCode = 1;
+      return;
+    }
+    console.log('✅ Pre-rendered pages are up to date');
+  }
+}
+
+main().catch(error => {
+  console.error('❌ Pre-rendering failed:', error.message);
+  process.exitCode = 1;
+});
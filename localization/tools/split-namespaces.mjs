@@ -0,0 +1,135 @@
+#!/usr/bin/env node
+/**
+ * 🧩 Namespace Bundle Splitter
+ * Splits each language's resolved catalog into per-namespace bundles under
+ * localization/languages/{lang}/ so pages only download the keys they use.
+ * The shared namespace holds header, dropdown, common and footer; every other
+ * top-level key (about, aiConsulting, csr, ...) becomes its own bundle.
+ *
+ * Usage:
+ *   node localization/tools/split-namespaces.mjs [--lang en,ar] [--check]
+ *
+ *   --lang   Only split these languages (default: every language with a catalog)
+ *   --check  Exit non-zero when any bundle is out of date (no files written)
+ */
+
+import { readFile, writeFile, mkdir, readdir, unlink } from 'node:fs/promises';
+import { existsSync } from 'node:fs';
+import path from 'node:path';
+
+import { LOCALIZATION_SETTINGS } from '../config/settings.js';
+import { ROOT_DIR, catalogLanguages, urlToFile, readResolvedCatalog } from './catalog-files.mjs';
+
+const NAMESPACES = LOCALIZATION_SETTINGS.catalog.namespaces;
+
+function parseArgs(argv) {
+  const options = { languages: catalogLanguages(), check: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--lang') {
+      options.languages = argv[++i].split(',').map(code => code.trim()).filter(Boolean);
+    } else if (arg === '--check') {
+      options.check = true;
+    } else {
+      throw new Error(`Unknown option: ${arg}`);
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Group top-level catalog keys into namespace bundles
+ */
+function splitCatalog(catalog) {
+  const bundles = { [NAMESPACES.shared]: {} };
+
+  Object.entries(catalog).forEach(([key, value]) => {
+    const namespace = NAMESPACES.sharedKeys.includes(key) ? NAMESPACES.shared : key;
+    bundles[namespace] = bundles[namespace] || {};
+    bundles[namespace][key] = value;
+  });
+
+  return bundles;
+}
+
+function bundleFile(languageCode, namespace) {
+  return urlToFile(NAMESPACES.path.replace('{lang}', languageCode).replace('{ns}', namespace));
+}
+
+async function splitLanguage(languageCode, check) {
+  const { sources, catalog } = await readResolvedCatalog(languageCode);
+  if (sources.length === 0) {
+    console.warn(`⚠️ ${languageCode}: no catalog sources found, skipping`);
+    return true;
+  }
+
+  const bundles = splitCatalog(catalog);
+  const directory = path.dirname(bundleFile(languageCode, NAMESPACES.shared));
+  let upToDate = true;
+
+  for (const [namespace, data] of Object.entries(bundles)) {
+    const file = bundleFile(languageCode, namespace);
+    const output = `${JSON.stringify(data, null, 2)}\n`;
+    const current = existsSync(file) ? await readFile(file, 'utf8') : null;
+
+    if (current === output) continue;
+    upToDate = false;
+
+    if (check) {
+      console.error(`❌ ${path.relative(ROOT_DIR, file)} is out of date`);
+    } else {
+      await mkdir(directory, { recursive: true });
+      await writeFile(file, output, 'utf8');
+    }
+  }
+
+  // Bundles for top-level keys that no longer exist
+  if (existsSync(directory)) {
+    const expected = new Set(Object.keys(bundles).map(namespace => path.basename(bundleFile(languageCode, namespace))));
+    for (const name of await readdir(directory)) {
+      if (!name.endsWith('.json') || expected.has(name)) continue;
+      upToDate = false;
+
+      if (check) {
+        console.error(`❌ ${path.relative(ROOT_DIR, path.join(directory, name))} is stale`);
+      } else {
+        await unlink(path.join(directory, name));
+        console.log(`🧹 Removed stale bundle ${path.relative(ROOT_DIR, path.join(directory, name))}`);
+      }
+    }
+  }
+
+  if (!check) {
+    console.log(`📚 ${languageCode}: ${Object.keys(bundles).length} namespaces → ${path.relative(ROOT_DIR, directory)}/`);
+  }
+
+  return upToDate;
+}
+
+async function main() {
+  const { languages, check } = parseArgs(process.argv.slice(2));
+  let upToDate = true;
+
+  for (const languageCode of languages) {
+    upToDate = (await splitLanguage(languageCode, check)) && upToDate;
+  }
+
+  if (check) {
+    if (!upToDate) {
+      console.error('❌ Namespace bundles are out of date. Run: node localization/tools/split-namespaces.mjs');
+      process.exitCode = 1;
+      return;
+    }
+    console.log('✅ Namespace bundles are up to date');
+    return;
+  }
+
+  console.log('ℹ️ Run node localization/tools/build-manifest.mjs to refresh bundle hashes');
+}
+
+main().catch(error => {
+  console.error('❌ Namespace split failed:', error.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,177 @@
+/**
+ * Bidirectional Text Utilities for Localization
+ * Isolates Latin runs (brand names, emails, phone numbers, versions) inside
+ * RTL text so they keep their order: <bdi dir="ltr"> in the DOM and in
+ * pre-rendered HTML, FSI…PDI marks around interpolated values
+ */
+
+// First strong isolate / pop directional isolate
+const FSI = '\u2068';
+const PDI = '\u2069';
+
+// Latin words, emails, URLs, versions and phone numbers, with the spaces between them
+const LATIN_RUN = /[A-Za-z0-9+#@][\w@#&%+\-./:']*(?:[\u00a0 ]+[A-Za-z0-9+#@][\w@#&%+\-./:']*)*/g;
+const PHONE_NUMBER = /^\+?\d[\d\u00a0 \-./]{6,}\d$/;
+const TRAILING_PUNCTUATION = /[.,:;'!?\-]+$/;
+
+// Never isolated: already isolated, code or raw text
+const SKIPPED_ELEMENTS = ['BDI', 'BDO', 'SCRIPT', 'STYLE', 'CODE', 'PRE', 'TEXTAREA'];
+
+function escapeText(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+export class BidiUtils {
+    /**
+     * Wrap a value in Unicode isolate marks (safe in text and attributes)
+     * @param {string} value - Interpolated value
+     * @returns {string} FSI + value + PDI
+     */
+    static isolateValue(value) {
+        return `${FSI}${value}${PDI}`;
+    }
+
+    /**
+     * Check whether a run needs isolating: it has Latin letters or looks like a phone number
+     * @param {string} run - Candidate run
+     * @returns {boolean} True when the run should be isolated
+     */
+    static isLatinRun(run) {
+        return /[A-Za-z]/.test(run) || PHONE_NUMBER.test(run);
+    }
+
+    /**
+     * Find the glossary term inside a run, if any
+     * @param {string} run - Latin run
+     * @param {Array} glossary - Protected terms (e.g. ['Marln', 'AWS'])
+     * @returns {string|null} Matching term
+     */
+    static findTerm(run, glossary = []) {
+        return glossary.find(term => new RegExp(`(^|[^\\w])${escapeRegExp(term)}($|[^\\w])`, 'i').test(run)) || null;
+    }
+
+    /**
+     * Split text into plain and isolated runs
+     * @param {string} text - Translated text
+     * @param {Array} glossary - Protected terms, marked as English
+     * @returns {Array} [{ text, isolate: null | 'ltr' | 'term' }]
+     */
+    static splitRuns(text, glossary = []) {
+        const runs = [];
+        let index = 0;
+
+        for (const match of String(text).matchAll(LATIN_RUN)) {
+            // "Marln." → isolate "Marln", keep the full stop in the sentence
+            const run = match[0].replace(TRAILING_PUNCTUATION, '');
+            if (!run || !this.isLatinRun(run)) continue;
+
+            if (match.index > index) {
+                runs.push({ text: text.slice(index, match.index), isolate: null });
+            }
+            runs.push({ text: run, isolate: this.findTerm(run, glossary) ? 'term' : 'ltr' });
+            index = match.index + run.length;
+        }
+
+        if (index < String(text).length) {
+            runs.push({ text: String(text).slice(index), isolate: null });
+        }
+
+        return runs;
+    }
+
+    /**
+     * Attributes of the isolate element for a run
+     * @param {string} isolate - 'ltr' or 'term'
+     * @returns {Object} Attribute map
+     */
+    static getIsolateAttributes(isolate) {
+        return isolate === 'term'
+            ? { dir: 'ltr', lang: 'en', translate: 'no' }
+            : { dir: 'ltr' };
+    }
+
+    /**
+     * Isolate Latin runs in every text node of an element
+     * @param {Element} element - Translated element
+     * @param {Object} options - RTL_SETTINGS.bidi
+     * @returns {number} Number of runs isolated
+     */
+    static isolateElement(element, { glossary = [] } = {}) {
+        const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT, {
+            acceptNode: node => (node.parentElement && node.parentElement.closest(SKIPPED_ELEMENTS.join(','))
+                ? NodeFilter.FILTER_REJECT
+                : NodeFilter.FILTER_ACCEPT)
+        });
+
+        const textNodes = [];
+        while (walker.nextNode()) {
+            textNodes.push(walker.currentNode);
+        }
+
+        let isolated = 0;
+        textNodes.forEach(node => {
+            const runs = this.splitRuns(node.textContent, glossary);
+            if (!runs.some(run => run.isolate)) return;
+
+            const fragment = document.createDocumentFragment();
+            runs.forEach(run => {
+                if (!run.isolate) {
+                    fragment.appendChild(document.createTextNode(run.text));
+                    return;
+                }
+
+                const bdi = document.createElement('bdi');
+                Object.entries(this.getIsolateAttributes(run.isolate)).forEach(([name, value]) => bdi.setAttribute(name, value));
+                bdi.textContent = run.text;
+                fragment.appendChild(bdi);
+                isolated++;
+            });
+            node.replaceWith(fragment);
+        });
+
+        return isolated;
+    }
+
+    /**
+     * Escape plain text as HTML with Latin runs isolated (tools/prerender.mjs)
+     * @param {string} text - Translated text
+     * @param {Object} options - RTL_SETTINGS.bidi
+     * @returns {string} HTML
+     */
+    static toHTML(text, { glossary = [] } = {}) {
+        return this.splitRuns(text, glossary).map(run => {
+            if (!run.isolate) return escapeText(run.text);
+
+            const attributes = Object.entries(this.getIsolateAttributes(run.isolate))
+                .map(([name, value]) => ` ${name}="${value}"`)
+                .join('');
+            return `<bdi${attributes}>${escapeText(run.text)}</bdi>`;
+        }).join('');
+    }
+
+    /**
+     * Isolate Latin runs in the text of sanitized markup, leaving tags,
+     * entities and existing <bdi> content alone
+     * @param {string} html - Sanitized HTML
+     * @param {Object} options - RTL_SETTINGS.bidi
+     * @returns {string} HTML
+     */
+    static isolateHTML(html, options = {}) {
+        let depth = 0;
+
+        return String(html).split(/(<[^>]+>|&[#\w]+;)/).map((segment, index) => {
+            if (index % 2 === 1) {
+                if (/^<bdi\b/i.test(segment)) depth++;
+                if (/^<\/bdi\b/i.test(segment)) depth--;
+                return segment;
+            }
+            return depth > 0 ? segment : this.toHTML(segment, options);
+        }).join('');
+    }
+}
+
+export default BidiUtils;
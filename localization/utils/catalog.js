@@ -0,0 +1,165 @@
+/**
+ * Translation Catalog Utilities for Localization
+ * Normalizes flat ("header.about") and nested ({ header: { about } }) catalogs
+ * into one resolved catalog and reports conflicts between sources
+ */
+
+export class CatalogUtils {
+    /**
+     * Check whether a catalog uses flat dotted keys
+     * @param {Object} catalog - Raw catalog
+     * @returns {boolean} True when any top-level key contains a dot
+     */
+    static isFlat(catalog) {
+        return !!catalog && Object.keys(catalog).some(key => key.includes('.'));
+    }
+
+    /**
+     * Flatten a catalog into dotted keys (arrays are kept as leaf values)
+     * @param {Object} catalog - Flat, nested or mixed catalog
+     * @param {string} prefix - Key prefix used during recursion
+     * @param {Object} result - Accumulator
+     * @returns {Object} Flat catalog
+     */
+    static flatten(catalog, prefix = '', result = {}) {
+        Object.entries(catalog || {}).forEach(([key, value]) => {
+            const fullKey = prefix ? `${prefix}.${key}` : key;
+
+            if (value && typeof value === 'object' && !Array.isArray(value)) {
+                this.flatten(value, fullKey, result);
+            } else {
+                result[fullKey] = value;
+            }
+        });
+
+        return result;
+    }
+
+    /**
+     * Expand a flat catalog into nested objects
+     * @param {Object} flatCatalog - Catalog with dotted keys
+     * @returns {Object} Nested catalog
+     */
+    static expand(flatCatalog) {
+        const result = {};
+
+        Object.entries(flatCatalog).forEach(([key, value]) => {
+            const path = key.split('.');
+            const leaf = path.pop();
+            let node = result;
+
+            path.forEach(segment => {
+                if (!node[segment] || typeof node[segment] !== 'object' || Array.isArray(node[segment])) {
+                    node[segment] = {};
+                }
+                node = node[segment];
+            });
+
+            node[leaf] = value;
+        });
+
+        return result;
+    }
+
+    /**
+     * Merge catalogs of either shape; earlier sources take precedence
+     * @param {Array} sources - Array of { name, data } in priority order
+     * @returns {Object} { catalog, flat, conflicts }
+     */
+    static merge(sources) {
+        const flat = {};
+        const origins = {};
+        const conflicts = [];
+
+        sources.forEach(({ name, data }) => {
+            if (!data) return;
+
+            Object.entries(this.flatten(data)).forEach(([key, value]) => {
+                if (!(key in flat)) {
+                    // A leaf in one source cannot also be a branch in another
+                    const clash = this.findStructuralClash(key, flat);
+                    if (clash) {
+                        conflicts.push({ key, type: 'structure', kept: { source: origins[clash], key: clash }, dropped: { source: name, value } });
+                        return;
+                    }
+
+                    flat[key] = value;
+                    origins[key] = name;
+                    return;
+                }
+
+                if (JSON.stringify(flat[key]) !== JSON.stringify(value)) {
+                    conflicts.push({
+                        key,
+                        type: 'value',
+                        kept: { source: origins[key], value: flat[key] },
+                        dropped: { source: name, value }
+                    });
+                }
+            });
+        });
+
+        return { catalog: this.expand(flat), flat, conflicts };
+    }
+
+    /**
+     * Find an existing key that is a parent or child of the given key
+     * @param {string} key - Dotted key
+     * @param {Object} flat - Flat catalog merged so far
+     * @returns {string|null} Clashing key
+     */
+    static findStructuralClash(key, flat) {
+        const segments = key.split('.');
+        for (let i = 1; i < segments.length; i++) {
+            const parent = segments.slice(0, i).join('.');
+            if (parent in flat) return parent;
+        }
+
+        const childPrefix = `${key}.`;
+        return Object.keys(flat).find(existing => existing.startsWith(childPrefix)) || null;
+    }
+
+    /**
+     * Convert a catalog into the requested canonical shape
+     * @param {Object} catalog - Flat, nested or mixed catalog
+     * @param {string} format - 'nested' or 'flat'
+     * @returns {Object} Catalog in the requested shape
+     */
+    static toFormat(catalog, format = 'nested') {
+        const flat = this.flatten(catalog);
+        return format === 'flat' ? flat : this.expand(flat);
+    }
+
+    /**
+     * Share of the reference catalog's keys that a catalog translates (non-empty values)
+     * @param {Object} flat - Flat catalog of the language
+     * @param {Object} referenceFlat - Flat catalog of the default language
+     * @returns {number} Percentage, rounded down to one decimal
+     */
+    static completeness(flat, referenceFlat) {
+        const keys = Object.keys(referenceFlat);
+        if (keys.length === 0) return 100;
+
+        const translated = keys.filter(key => {
+            const value = flat[key];
+            return typeof value === 'string' ? value.trim() !== '' : value !== undefined && value !== null;
+        });
+        return Math.floor((translated.length / keys.length) * 1000) / 10;
+    }
+
+    /**
+     * Build a console-friendly summary of merge conflicts
+     * @param {string} languageCode - Language the conflicts belong to
+     * @param {Array} conflicts - Conflicts from merge()
+     * @returns {string} Summary text
+     */
+    static describeConflicts(languageCode, conflicts) {
+        return conflicts.map(({ key, type, kept, dropped }) => (
+            type === 'structure'
+                ? `[${languageCode}] ${key}: "${dropped.source}" defines a key that clashes with "${kept.key}" from "${kept.source}"`
+                : `[${languageCode}] ${key}: kept "${kept.source}" (${JSON.stringify(kept.value)}), ignored "${dropped.source}" (${JSON.stringify(dropped.value)})`
+        )).join('\n');
+    }
+}
+
+export default CatalogUtils;
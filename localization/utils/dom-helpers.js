@@ -3,6 +3,14 @@
  * Provides common functions for DOM manipulation and localization tasks
  */
 
+import { HTMLSanitizer } from './html-sanitizer.js';
+
+// Attributes whose value is loaded or navigated to as a URL
+const URL_ATTRIBUTES = ['href', 'src', 'action', 'formaction', 'xlink:href', 'poster', 'cite', 'background', 'data', 'codebase'];
+
+// Never set from translations: inline documents and styles
+const BLOCKED_ATTRIBUTES = ['srcdoc', 'style'];
+
 export class DOMHelpers {
     /**
      * Find all elements with data-i18n attributes
@@ -29,16 +37,18 @@ export class DOMHelpers {
      * Update element text content with translation
      * @param {Element} element - DOM element to update
      * @param {string} translation - Translated text
-     * @param {boolean} preserveHTML - Whether to preserve HTML content
+     * @param {boolean} preserveHTML - Render allowlisted markup (br, strong, em, span, a) instead of text
+     * @returns {Array} Markup stripped by the sanitizer
      */
     static updateElementText(element, translation, preserveHTML = false) {
-        if (!element || !translation) return;
+        if (!element || !translation) return [];
 
         if (preserveHTML) {
-            element.innerHTML = translation;
-        } else {
-            element.textContent = translation;
+            return HTMLSanitizer.setHTML(element, translation);
         }
+
+        element.textContent = translation;
+        return [];
     }
 
     /**
@@ -103,6 +113,66 @@ export class DOMHelpers {
         }
     }
 
+    /**
+     * Parse a data-i18n-attr value into attribute/key pairs
+     * @param {string} value - e.g. "title:header.about; aria-label:header.about"
+     * @returns {Array} Array of {attribute, key} objects
+     */
+    static parseAttributeBindings(value) {
+        if (!value) return [];
+
+        return value.split(';')
+            .map(binding => {
+                const separator = binding.indexOf(':');
+                if (separator === -1) return null;
+
+                return {
+                    attribute: binding.slice(0, separator).trim().toLowerCase(),
+                    key: binding.slice(separator + 1).trim()
+                };
+            })
+            .filter(binding => binding && binding.key && /^[a-z][a-z0-9-]*$/.test(binding.attribute));
+    }
+
+    /**
+     * Check whether a translated value may be set on an attribute: no event handlers,
+     * srcdoc or style, and URL-valued attributes only with HTMLSanitizer-safe URLs
+     * (also used by tools/prerender.mjs)
+     * @param {string} attribute - Attribute name, any case
+     * @param {string} value - Translated value
+     * @returns {boolean} True when the attribute may be set
+     */
+    static isSafeAttribute(attribute, value) {
+        const name = String(attribute).toLowerCase();
+        if (name.startsWith('on') || BLOCKED_ATTRIBUTES.includes(name)) return false;
+        if (URL_ATTRIBUTES.includes(name)) return HTMLSanitizer.isSafeUrl(value);
+        return true;
+    }
+
+    /**
+     * Set a translated attribute, refusing event handlers and script URLs
+     * @param {Element} element - DOM element to update
+     * @param {string} attribute - Attribute name (title, aria-label, alt, content, href, ...)
+     * @param {string} translation - Translated value
+     */
+    static updateElementAttribute(element, attribute, translation) {
+        if (!element || !attribute || typeof translation !== 'string') return;
+
+        attribute = attribute.toLowerCase();
+
+        if (!this.isSafeAttribute(attribute, translation)) {
+            console.warn(`⚠️ Refusing translated value for "${attribute}": ${translation}`);
+            return;
+        }
+
+        element.setAttribute(attribute, translation);
+
+        // Keep live form values in sync with the attribute
+        if (attribute === 'value' && 'value' in element) {
+            element.value = translation;
+        }
+    }
+
     /**
      * Update element with all possible localization attributes
      * @param {Element} element - DOM element to update
@@ -0,0 +1,199 @@
+/**
+ * Locale Formatting Utilities for Localization
+ * Formats numbers, dates, currency and relative time through Intl, honouring the
+ * language's numbering system (latn/arab digits) and calendar (gregory, islamic-umalqura)
+ */
+
+// Intl formatter instances keyed by constructor, locale and options
+const formatterCache = new Map();
+
+// Units accepted by Intl.RelativeTimeFormat, largest first
+const RELATIVE_TIME_UNITS = [
+    { unit: 'year', ms: 365 * 24 * 60 * 60 * 1000 },
+    { unit: 'month', ms: 30 * 24 * 60 * 60 * 1000 },
+    { unit: 'week', ms: 7 * 24 * 60 * 60 * 1000 },
+    { unit: 'day', ms: 24 * 60 * 60 * 1000 },
+    { unit: 'hour', ms: 60 * 60 * 1000 },
+    { unit: 'minute', ms: 60 * 1000 },
+    { unit: 'second', ms: 1000 }
+];
+
+export class LocaleFormatter {
+    /**
+     * Get a cached Intl formatter
+     * @param {Function} Formatter - Intl constructor (NumberFormat, DateTimeFormat, ...)
+     * @param {string} locale - BCP 47 locale
+     * @param {Object} options - Formatter options
+     * @returns {Object} Intl formatter instance
+     */
+    static getFormatter(Formatter, locale, options = {}) {
+        const cacheKey = `${Formatter.name}|${locale}|${JSON.stringify(options)}`;
+        if (!formatterCache.has(cacheKey)) {
+            formatterCache.set(cacheKey, new Formatter(locale, options));
+        }
+        return formatterCache.get(cacheKey);
+    }
+
+    /**
+     * Locale with the language's numbering system and calendar as Unicode extensions
+     * @param {Object} languageInfo - Entry from SUPPORTED_LANGUAGES (with visitor preferences applied)
+     * @returns {string} Locale such as "ar-SA-u-ca-gregory-nu-arab"
+     */
+    static getLocale(languageInfo) {
+        const { locale, numberingSystem, calendar } = languageInfo;
+        if (!numberingSystem && !calendar) return locale;
+
+        try {
+            return new Intl.Locale(locale, {
+                ...(numberingSystem ? { numberingSystem } : {}),
+                ...(calendar ? { calendar } : {})
+            }).toString();
+        } catch (error) {
+            return locale;
+        }
+    }
+
+    /**
+     * Split a source value like "10+", "~200" or "1,000+" into prefix, number and suffix
+     * Grouping separators (comma, space, no-break space) are dropped from the number
+     * @param {string|number} value - Source value
+     * @returns {Object|null} { prefix, number, suffix } or null when not numeric
+     */
+    static parseNumericValue(value) {
+        if (typeof value === 'number') {
+            return { prefix: '', number: value, suffix: '' };
+        }
+
+        const match = /^(\D*?)(-?\d{1,3}(?:[,\u00a0\u202f ]\d{3})+(?:\.\d+)?|-?\d+(?:\.\d+)?)(\D*)$/.exec(String(value).trim());
+        if (!match) return null;
+
+        return { prefix: match[1], number: Number(match[2].replace(/[,\u00a0\u202f ]/g, '')), suffix: match[3] };
+    }
+
+    /**
+     * Format a number, keeping any literal prefix/suffix (e.g. "10+" → "١٠+")
+     * @param {string|number} value - Source value
+     * @param {Object} languageInfo - Entry from SUPPORTED_LANGUAGES
+     * @param {Object} options - Intl.NumberFormat options
+     * @returns {string} Formatted number
+     */
+    static formatNumber(value, languageInfo, options = {}) {
+        const parsed = this.parseNumericValue(value);
+        if (!parsed) return String(value);
+
+        const formatted = this.getFormatter(Intl.NumberFormat, this.getLocale(languageInfo), options).format(parsed.number);
+        return `${parsed.prefix}${formatted}${parsed.suffix}`;
+    }
+
+    /**
+     * Format a currency amount in the language's currency unless overridden
+     * @param {string|number} value - Amount
+     * @param {Object} languageInfo - Entry from SUPPORTED_LANGUAGES
+     * @param {Object} options - Intl.NumberFormat options (currency overrides the default)
+     * @returns {string} Formatted amount
+     */
+    static formatCurrency(value, languageInfo, options = {}) {
+        // "12,000" is an amount too; a currency symbol or suffix is not kept
+        const parsed = this.parseNumericValue(value);
+        if (!parsed) return String(value);
+        const amount = parsed.number;
+
+        return this.getFormatter(Intl.NumberFormat, this.getLocale(languageInfo), {
+            style: 'currency',
+            currency: languageInfo.currency,
+            ...options
+        }).format(amount);
+    }
+
+    /**
+     * Format a date; time fields honour the language's 12h/24h timeFormat
+     * @param {string|number|Date} value - ISO string, timestamp or Date
+     * @param {Object} languageInfo - Entry from SUPPORTED_LANGUAGES
+     * @param {Object} options - Intl.DateTimeFormat options
+     * @returns {string} Formatted date
+     */
+    static formatDate(value, languageInfo, options = {}) {
+        const date = this.toDate(value);
+        if (!date) return String(value);
+
+        const dateOptions = Object.keys(options).length ? { ...options } : { dateStyle: 'medium' };
+        if (dateOptions.timeStyle || dateOptions.hour) {
+            dateOptions.hour12 = languageInfo.timeFormat === '12h';
+        }
+
+        return this.getFormatter(Intl.DateTimeFormat, this.getLocale(languageInfo), dateOptions).format(date);
+    }
+
+    /**
+     * Format a date in the language's calendar followed by its dual calendar,
+     * e.g. { dateStyle: 'long' } → "١٥ مارس ٢٠٢٥ (١٥ رمضان ١٤٤٦ هـ)"
+     * @param {string|number|Date} value - ISO string, timestamp or Date
+     * @param {Object} languageInfo - Entry from SUPPORTED_LANGUAGES
+     * @param {Object} options - Intl.DateTimeFormat options
+     * @returns {string} Formatted dates
+     */
+    static formatDualDate(value, languageInfo, options = {}) {
+        const primary = this.formatDate(value, languageInfo, options);
+        if (!this.toDate(value)) return primary;
+
+        const calendar = languageInfo.calendar || 'gregory';
+        const secondCalendar = languageInfo.dualCalendar && languageInfo.dualCalendar !== calendar
+            ? languageInfo.dualCalendar
+            : 'gregory';
+        if (secondCalendar === calendar) return primary;
+
+        const secondary = this.formatDate(value, { ...languageInfo, calendar: secondCalendar }, options);
+        return `${primary} (${secondary})`;
+    }
+
+    /**
+     * Format relative time from either "<amount> <unit>" or a date
+     * @param {string|number|Date} value - e.g. "-3 day", "2 week" or an ISO date
+     * @param {Object} languageInfo - Entry from SUPPORTED_LANGUAGES
+     * @param {Object} options - Intl.RelativeTimeFormat options
+     * @param {number} now - Reference timestamp for date values
+     * @returns {string} Formatted relative time
+     */
+    static formatRelativeTime(value, languageInfo, options = {}, now = Date.now()) {
+        const rtfOptions = { numeric: 'auto', ...options };
+        const formatter = this.getFormatter(Intl.RelativeTimeFormat, this.getLocale(languageInfo), rtfOptions);
+
+        const match = /^\s*(-?\d+(?:\.\d+)?)\s+([a-z]+?)s?\s*$/i.exec(String(value));
+        if (match) {
+            return formatter.format(Number(match[1]), match[2].toLowerCase());
+        }
+
+        const date = this.toDate(value);
+        if (!date) return String(value);
+
+        const diff = date.getTime() - now;
+        const { unit, ms } = RELATIVE_TIME_UNITS.find(({ ms }) => Math.abs(diff) >= ms) ||
+                             RELATIVE_TIME_UNITS[RELATIVE_TIME_UNITS.length - 1];
+
+        return formatter.format(Math.round(diff / ms), unit);
+    }
+
+    /**
+     * Convert a value into a valid Date
+     * Date-only strings (YYYY-MM-DD) are local dates, not UTC midnight,
+     * so they show the same day in every time zone
+     * @param {string|number|Date} value - Source value
+     * @returns {Date|null} Date or null when invalid
+     */
+    static toDate(value) {
+        const dateOnly = typeof value === 'string' ? /^(\d{4})-(\d{2})-(\d{2})$/.exec(value.trim()) : null;
+        const date = value instanceof Date ? value
+            : dateOnly ? new Date(Number(dateOnly[1]), Number(dateOnly[2]) - 1, Number(dateOnly[3]))
+            : new Date(value);
+        return isNaN(date.getTime()) ? null : date;
+    }
+
+    /**
+     * Clear cached formatters
+     */
+    static clearCache() {
+        formatterCache.clear();
+    }
+}
+
+export default LocaleFormatter;
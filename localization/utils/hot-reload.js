@@ -0,0 +1,75 @@
+/**
+ * Hot Reload Client for Localization
+ * Listens to the dev server's Server-Sent Events (tools/dev-server.mjs):
+ * "catalog" events carry the language whose translations changed,
+ * "reload" events ask for a full page reload
+ */
+
+const LOCAL_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
+
+export class HotReloadClient {
+    /**
+     * @param {Object} options - Client options
+     * @param {string} options.url - Event stream URL (DEV_SETTINGS.hotReload.endpoint)
+     * @param {Function} options.onCatalog - Called with { language, file } when a catalog changes
+     * @param {Function} options.onReload - Called with { file } when any other watched file changes
+     */
+    constructor({ url, onCatalog = () => {}, onReload = () => window.location.reload() } = {}) {
+        this.url = url;
+        this.onCatalog = onCatalog;
+        this.onReload = onReload;
+        this.source = null;
+    }
+
+    /**
+     * Whether the page is served from this machine (where the dev server runs)
+     * @returns {boolean} True for localhost addresses
+     */
+    static isLocalDevelopment() {
+        return LOCAL_HOSTS.includes(window.location.hostname);
+    }
+
+    /**
+     * Open the event stream; the browser reconnects on its own after server restarts
+     * @returns {boolean} True when connecting
+     */
+    connect() {
+        if (this.source || typeof EventSource === 'undefined') return false;
+
+        this.source = new EventSource(this.url);
+        this.source.addEventListener('catalog', event => this.onCatalog(this.parse(event)));
+        this.source.addEventListener('reload', event => this.onReload(this.parse(event)));
+        this.source.addEventListener('error', () => {
+            // Not served by the dev server (e.g. a plain static server): stop trying
+            if (this.source && this.source.readyState === EventSource.CLOSED) {
+                this.disconnect();
+            }
+        });
+
+        return true;
+    }
+
+    /**
+     * @param {MessageEvent} event - Server-sent event
+     * @returns {Object} Event payload
+     */
+    parse(event) {
+        try {
+            return JSON.parse(event.data);
+        } catch (error) {
+            return {};
+        }
+    }
+
+    /**
+     * Close the event stream
+     */
+    disconnect() {
+        if (this.source) {
+            this.source.close();
+            this.source = null;
+        }
+    }
+}
+
+export default HotReloadClient;
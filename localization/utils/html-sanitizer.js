@@ -0,0 +1,203 @@
+/**
+ * HTML Sanitizer for Localization
+ * Allowlist sanitizer for rich-text translations. Only keys ending in "Html"
+ * (e.g. "cta.titleHtml") or [data-i18n-html] bindings are rendered as markup;
+ * everything else is plain text. <bdi dir lang> lets translators isolate
+ * mixed-direction text by hand.
+ */
+
+// Allowed elements and the attributes each may keep
+const ALLOWED_ELEMENTS = {
+    br: [],
+    strong: [],
+    em: [],
+    span: ['class'],
+    a: ['href'],
+    bdi: ['dir', 'lang']
+};
+
+// Elements dropped together with their content
+const DROPPED_ELEMENTS = ['script', 'style', 'template', 'iframe', 'object', 'embed', 'noscript', 'svg', 'math'];
+
+const SAFE_URL = /^(https?:|mailto:|tel:|#|\.{0,2}\/|[^:]*$)/i;
+// "//host" leaves the site; browsers read "\\host" and "/\host" the same way
+const PROTOCOL_RELATIVE_URL = /^[\\/]{2}/;
+const SAFE_CLASS = /^[\w-]+(\s+[\w-]+)*$/;
+const SAFE_LANG = /^[a-z]{2,3}(-[a-z0-9]{2,8})*$/i;
+const ATTRIBUTE_PATTERN = /([^\s"'>\/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+const NAMED_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: '\u00a0' };
+
+function decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+        if (entity[0] === '#') {
+            const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+            return Number.isFinite(code) ? String.fromCodePoint(code) : match;
+        }
+        return NAMED_ENTITIES[entity.toLowerCase()] ?? match;
+    });
+}
+
+function escapeAttribute(value) {
+    return value.replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+}
+
+export class HTMLSanitizer {
+    /**
+     * Check whether a translation key is explicitly marked as HTML
+     * @param {string} key - Translation key
+     * @returns {boolean} True when the last key segment ends in "Html"
+     */
+    static isHtmlKey(key) {
+        return typeof key === 'string' && /Html$/.test(key.split('.').pop());
+    }
+
+    /**
+     * Check whether a link target is safe (relative, http(s), mailto, tel or fragment)
+     * @param {string} url - href value
+     * @returns {boolean} True when safe
+     */
+    static isSafeUrl(url) {
+        // Browsers ignore control characters and whitespace inside the scheme
+        const normalized = String(url).replace(/[\u0000- \u007f]/g, '');
+        return !PROTOCOL_RELATIVE_URL.test(normalized) && SAFE_URL.test(normalized);
+    }
+
+    /**
+     * Sanitize an HTML string into a detached fragment
+     * @param {string} html - Untrusted translation markup
+     * @returns {Object} { fragment, removed } where removed lists what was stripped
+     */
+    static sanitize(html) {
+        // <template> content is inert: nothing runs or loads while parsing
+        const template = document.createElement('template');
+        template.innerHTML = String(html);
+
+        const fragment = document.createDocumentFragment();
+        const removed = [];
+        this.copyNodes(template.content, fragment, removed);
+
+        return { fragment, removed };
+    }
+
+    /**
+     * Rebuild allowed nodes into a clean parent
+     * @param {Node} source - Parsed node whose children are copied
+     * @param {Node} target - Clean parent node
+     * @param {Array} removed - Accumulator for stripped items
+     */
+    static copyNodes(source, target, removed) {
+        Array.from(source.childNodes).forEach(node => {
+            if (node.nodeType === Node.TEXT_NODE) {
+                target.appendChild(document.createTextNode(node.textContent));
+                return;
+            }
+
+            if (node.nodeType !== Node.ELEMENT_NODE) {
+                return;
+            }
+
+            const tag = node.tagName.toLowerCase();
+
+            if (DROPPED_ELEMENTS.includes(tag)) {
+                removed.push(`<${tag}>`);
+                return;
+            }
+
+            if (!ALLOWED_ELEMENTS[tag]) {
+                // Keep the text, drop the element
+                removed.push(`<${tag}>`);
+                this.copyNodes(node, target, removed);
+                return;
+            }
+
+            const clean = document.createElement(tag);
+            Array.from(node.attributes).forEach(({ name, value }) => {
+                if (this.isAllowedAttribute(tag, name, value)) {
+                    clean.setAttribute(name, value);
+                } else {
+                    removed.push(`<${tag} ${name}="${value}">`);
+                }
+            });
+
+            this.copyNodes(node, clean, removed);
+            target.appendChild(clean);
+        });
+    }
+
+    /**
+     * Check one attribute against the allowlist
+     * @param {string} tag - Lowercase tag name
+     * @param {string} name - Attribute name
+     * @param {string} value - Attribute value
+     * @returns {boolean} True when the attribute may be kept
+     */
+    static isAllowedAttribute(tag, name, value) {
+        if (!ALLOWED_ELEMENTS[tag].includes(name)) return false;
+        if (name === 'href') return this.isSafeUrl(value);
+        if (name === 'class') return SAFE_CLASS.test(value.trim());
+        if (name === 'dir') return /^(ltr|rtl|auto)$/i.test(value.trim());
+        if (name === 'lang') return SAFE_LANG.test(value.trim());
+        return true;
+    }
+
+    /**
+     * Sanitize markup without a DOM (build tools such as tools/prerender.mjs)
+     * Allowlisted tags are rebuilt; other tags are dropped and stray brackets escaped
+     * @param {string} html - Untrusted translation markup
+     * @returns {Object} { html, removed } where removed lists what was stripped
+     */
+    static sanitizeToString(html) {
+        const removed = [];
+        const droppedPattern = new RegExp(`<(${DROPPED_ELEMENTS.join('|')})\\b[\\s\\S]*?<\\/\\1\\s*>`, 'gi');
+
+        const source = String(html)
+            .replace(/<!--[\s\S]*?-->/g, '')
+            .replace(droppedPattern, (match, tag) => {
+                removed.push(`<${tag.toLowerCase()}>`);
+                return '';
+            });
+
+        const output = source.replace(/<(\/?)([a-zA-Z][\w-]*)([^>]*)>|[<>]/g, (match, closing, name, rawAttributes) => {
+            if (!name) return match === '<' ? '&lt;' : '&gt;';
+
+            const tag = name.toLowerCase();
+            if (!ALLOWED_ELEMENTS[tag]) {
+                if (!closing) removed.push(`<${tag}>`);
+                return '';
+            }
+
+            if (closing) return tag === 'br' ? '' : `</${tag}>`;
+
+            let attributes = '';
+            for (const [, attributeName, doubleQuoted, singleQuoted, bare] of rawAttributes.matchAll(ATTRIBUTE_PATTERN)) {
+                if (attributeName === '/') continue;
+                const attribute = attributeName.toLowerCase();
+                const value = decodeEntities(doubleQuoted ?? singleQuoted ?? bare ?? '');
+
+                if (this.isAllowedAttribute(tag, attribute, value)) {
+                    attributes += ` ${attribute}="${escapeAttribute(value)}"`;
+                } else {
+                    removed.push(`<${tag} ${attribute}="${value}">`);
+                }
+            }
+
+            return `<${tag}${attributes}>`;
+        });
+
+        return { html: output, removed };
+    }
+
+    /**
+     * Replace an element's content with sanitized markup
+     * @param {Element} element - Target element
+     * @param {string} html - Untrusted translation markup
+     * @returns {Array} Items that were stripped
+     */
+    static setHTML(element, html) {
+        const { fragment, removed } = this.sanitize(html);
+        element.replaceChildren(fragment);
+        return removed;
+    }
+}
+
+export default HTMLSanitizer;
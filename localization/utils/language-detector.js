@@ -0,0 +1,152 @@
+/**
+ * Language Detector for Localization System
+ * Runs an ordered, configurable list of detectors and negotiates each
+ * candidate (e.g. "ar-EG") against the available languages (e.g. "ar")
+ */
+
+export class LanguageDetector {
+    /**
+     * @param {Object} options - Detector options
+     * @param {Array} options.order - Detector names in priority order
+     * @param {Array} options.available - Available language codes
+     * @param {Object} options.settings - LOCALIZATION_SETTINGS.language
+     */
+    constructor({ order = [], available = [], settings = {} } = {}) {
+        this.order = [...order];
+        this.available = [...available];
+        this.settings = settings;
+        this.detectors = new Map(Object.entries(this.getBuiltInDetectors()));
+        this.lastResult = null;
+    }
+
+    /**
+     * Built-in detectors; each returns a candidate string, an array of candidates or null
+     * @returns {Object} Detector functions keyed by name
+     */
+    getBuiltInDetectors() {
+        const settings = this.settings;
+
+        return {
+            // /ar/about-us.html → "ar"
+            path: () => {
+                const segment = window.location.pathname.split('/').filter(Boolean)[0];
+                return segment && /^[a-z]{2,3}([-_][a-z0-9]{2,8})?$/i.test(segment) ? segment : null;
+            },
+
+            // ?lang=ar
+            query: () => new URLSearchParams(window.location.search).get(settings.urlParameter),
+
+            // The stored choice only counts while LOCALIZATION_SETTINGS.language.rememberUserChoice is on
+            cookie: () => {
+                if (settings.rememberUserChoice === false) return null;
+                const cookies = document.cookie.split(';');
+                for (const cookie of cookies) {
+                    const [name, value] = cookie.trim().split('=');
+                    if (name === settings.cookieName) return decodeURIComponent(value || '');
+                }
+                return null;
+            },
+
+            storage: () => {
+                if (settings.rememberUserChoice === false) return null;
+                try {
+                    return localStorage.getItem(settings.localStorageKey);
+                } catch (error) {
+                    return null;
+                }
+            },
+
+            // Server-provided hint: window[serverHintGlobal] or <meta name="serverHintMeta">
+            server: () => {
+                const detection = settings.detection || {};
+                if (detection.serverHintGlobal && window[detection.serverHintGlobal]) {
+                    return window[detection.serverHintGlobal];
+                }
+                const meta = detection.serverHintMeta && document.querySelector(`meta[name="${detection.serverHintMeta}"]`);
+                return meta ? meta.getAttribute('content') : null;
+            },
+
+            navigator: () => {
+                if (!settings.autoDetect) return null;
+                return navigator.languages && navigator.languages.length ? navigator.languages : navigator.language;
+            },
+
+            htmlLang: () => document.documentElement.getAttribute('lang')
+        };
+    }
+
+    /**
+     * Register or replace a detector
+     * @param {string} name - Detector name
+     * @param {Function} detector - Returns a candidate, array of candidates or null
+     * @param {number} position - Index in the order (appended when omitted)
+     */
+    registerDetector(name, detector, position = null) {
+        this.detectors.set(name, detector);
+        this.order = this.order.filter(existing => existing !== name);
+
+        if (position === null || position >= this.order.length) {
+            this.order.push(name);
+        } else {
+            this.order.splice(Math.max(0, position), 0, name);
+        }
+    }
+
+    /**
+     * Update the list of available languages
+     * @param {Array} available - Language codes
+     */
+    setAvailableLanguages(available) {
+        this.available = [...available];
+    }
+
+    /**
+     * Match a locale tag against the available languages
+     * Exact match first, then base language ("ar-EG" → "ar")
+     * @param {string} candidate - Locale tag from a detector
+     * @returns {string|null} Available language code
+     */
+    negotiate(candidate) {
+        if (!candidate || typeof candidate !== 'string') return null;
+
+        const normalized = candidate.trim().replace('_', '-').toLowerCase();
+        const exact = this.available.find(code => code.toLowerCase() === normalized);
+        if (exact) return exact;
+
+        const base = normalized.split('-')[0];
+        return this.available.find(code => code.toLowerCase() === base) || null;
+    }
+
+    /**
+     * Run detectors in order and return the first negotiated language
+     * @returns {Object|null} { language, detector, candidate } or null
+     */
+    detect() {
+        for (const name of this.order) {
+            const detector = this.detectors.get(name);
+            if (!detector) continue;
+
+            let result;
+            try {
+                result = detector();
+            } catch (error) {
+                console.warn(`⚠️ Language detector "${name}" failed:`, error);
+                continue;
+            }
+
+            const candidates = Array.isArray(result) ? result : [result];
+            for (const candidate of candidates) {
+                const language = this.negotiate(candidate);
+                if (language) {
+                    this.lastResult = { language, detector: name, candidate };
+                    return this.lastResult;
+                }
+            }
+        }
+
+        this.lastResult = null;
+        return null;
+    }
+}
+
+export default LanguageDetector;
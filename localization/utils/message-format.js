@@ -0,0 +1,365 @@
+/**
+ * ICU MessageFormat Utilities for Localization
+ * Parses and formats ICU-style messages ({name}, plural, select) through Intl
+ */
+
+import { BidiUtils } from './bidi.js';
+
+// Compiled messages keyed by source string
+const messageCache = new Map();
+
+// Intl.PluralRules instances keyed by locale and type
+const pluralRulesCache = new Map();
+
+export class MessageFormat {
+    /**
+     * Check whether a string contains ICU syntax: placeholders or apostrophe quoting
+     * ("It''s" must come out as "It's" with or without a placeholder)
+     * @param {string} message - Raw translation string
+     * @returns {boolean} Whether the message needs formatting
+     */
+    static isMessage(message) {
+        return typeof message === 'string' && /[{']/.test(message);
+    }
+
+    /**
+     * Format an ICU message with the given values
+     * @param {string} message - Raw ICU message
+     * @param {Object} values - Placeholder values (e.g. { count: 3, name: 'Marln' })
+     * @param {string} locale - BCP 47 locale used for plural rules and numbers
+     * @param {Object} options - { isolate } wraps each {argument} in FSI…PDI marks (RTL text)
+     * @returns {string} Formatted message
+     */
+    static format(message, values = {}, locale = 'en-US', { isolate = false } = {}) {
+        if (!this.isMessage(message)) return message;
+
+        try {
+            return this.formatParts(this.compile(message), values || {}, locale, null, isolate);
+        } catch (error) {
+            console.error(`❌ Failed to format message: ${message}`, error);
+            return message;
+        }
+    }
+
+    /**
+     * Compile a message into parts, reusing cached results
+     * @param {string} message - Raw ICU message
+     * @returns {Array} Parsed message parts
+     */
+    static compile(message) {
+        if (!messageCache.has(message)) {
+            const parser = new MessageParser(message);
+            const parts = parser.parseMessage(false);
+
+            // Unbalanced closing braces at the top level are kept as text
+            while (parser.index < message.length) {
+                parser.index++;
+                parts.push('}', ...parser.parseMessage(false));
+            }
+
+            messageCache.set(message, parts);
+        }
+        return messageCache.get(message);
+    }
+
+    /**
+     * Get a cached Intl.PluralRules instance
+     * @param {string} locale - BCP 47 locale
+     * @param {string} type - 'cardinal' or 'ordinal'
+     * @returns {Intl.PluralRules} Plural rules for the locale
+     */
+    static getPluralRules(locale, type = 'cardinal') {
+        const cacheKey = `${locale}|${type}`;
+        if (!pluralRulesCache.has(cacheKey)) {
+            pluralRulesCache.set(cacheKey, new Intl.PluralRules(locale, { type }));
+        }
+        return pluralRulesCache.get(cacheKey);
+    }
+
+    /**
+     * Render compiled parts
+     * @param {Array} parts - Compiled message parts
+     * @param {Object} values - Placeholder values
+     * @param {string} locale - BCP 47 locale
+     * @param {number|null} pluralValue - Value substituted for '#' inside plural branches
+     * @param {boolean} isolate - Wrap arguments in isolate marks
+     * @returns {string} Rendered text
+     */
+    static formatParts(parts, values, locale, pluralValue, isolate = false) {
+        return parts.map(part => {
+            if (typeof part === 'string') return part;
+
+            switch (part.type) {
+                case 'pound':
+                    return pluralValue === null ? '#' : new Intl.NumberFormat(locale).format(pluralValue);
+
+                case 'argument': {
+                    const text = this.formatArgument(part, values, locale);
+                    return isolate && part.name in values ? BidiUtils.isolateValue(text) : text;
+                }
+
+                case 'plural':
+                case 'selectordinal':
+                    return this.formatPlural(part, values, locale, isolate);
+
+                case 'select': {
+                    const value = values[part.name];
+                    const branch = part.options[String(value)] || part.options.other;
+                    return branch ? this.formatParts(branch, values, locale, pluralValue, isolate) : '';
+                }
+
+                default:
+                    return '';
+            }
+        }).join('');
+    }
+
+    /**
+     * Render a simple {name} or {name, number} argument
+     * @param {Object} part - Compiled argument part
+     * @param {Object} values - Placeholder values
+     * @param {string} locale - BCP 47 locale
+     * @returns {string} Rendered argument
+     */
+    static formatArgument(part, values, locale) {
+        if (!(part.name in values)) {
+            return `{${part.name}}`;
+        }
+
+        const value = values[part.name];
+        if (part.format === 'number' && value !== null && value !== '' && !isNaN(value)) {
+            const options = part.style === 'percent' ? { style: 'percent' } :
+                            part.style === 'integer' ? { maximumFractionDigits: 0 } : {};
+            return new Intl.NumberFormat(locale, options).format(Number(value));
+        }
+
+        return String(value);
+    }
+
+    /**
+     * Render a plural or selectordinal block through Intl.PluralRules
+     * @param {Object} part - Compiled plural part
+     * @param {Object} values - Placeholder values
+     * @param {string} locale - BCP 47 locale
+     * @param {boolean} isolate - Wrap arguments in isolate marks
+     * @returns {string} Rendered branch
+     */
+    static formatPlural(part, values, locale, isolate = false) {
+        const rawValue = Number(values[part.name]);
+        if (isNaN(rawValue)) {
+            return part.options.other ? this.formatParts(part.options.other, values, locale, null, isolate) : '';
+        }
+
+        // Exact matches (=0, =1, ...) take precedence over plural categories
+        let branch = part.options[`=${rawValue}`];
+        const value = rawValue - part.offset;
+
+        if (!branch) {
+            const type = part.type === 'selectordinal' ? 'ordinal' : 'cardinal';
+            const category = this.getPluralRules(locale, type).select(value);
+            branch = part.options[category] || part.options.other;
+        }
+
+        return branch ? this.formatParts(branch, values, locale, value, isolate) : '';
+    }
+
+    /**
+     * List the argument names a message expects (including plural/select arguments)
+     * @param {string} message - Raw ICU message
+     * @returns {Array} Sorted argument names; throws on malformed messages
+     */
+    static getArgumentNames(message) {
+        if (!this.isMessage(message)) return [];
+
+        const names = new Set();
+        const collect = (parts) => parts.forEach(part => {
+            if (!part || typeof part !== 'object' || !part.name) return;
+            names.add(part.name);
+            if (part.options) {
+                Object.values(part.options).forEach(collect);
+            }
+        });
+
+        collect(this.compile(message));
+        return [...names].sort();
+    }
+
+    /**
+     * Clear compiled message cache
+     */
+    static clearCache() {
+        messageCache.clear();
+        pluralRulesCache.clear();
+    }
+}
+
+/**
+ * Recursive-descent parser for the ICU MessageFormat subset used by the site
+ */
+class MessageParser {
+    constructor(message) {
+        this.message = message;
+        this.index = 0;
+    }
+
+    /**
+     * Parse message text until end of input or a closing brace
+     * @param {boolean} inPlural - Whether '#' should be treated as the plural value
+     * @returns {Array} Parsed parts
+     */
+    parseMessage(inPlural) {
+        const parts = [];
+        let text = '';
+
+        while (this.index < this.message.length) {
+            const char = this.message[this.index];
+
+            if (char === '}') break;
+
+            if (char === '{') {
+                if (text) parts.push(text);
+                text = '';
+                parts.push(this.parseArgument(inPlural));
+                continue;
+            }
+
+            if (char === '#' && inPlural) {
+                if (text) parts.push(text);
+                text = '';
+                parts.push({ type: 'pound' });
+                this.index++;
+                continue;
+            }
+
+            if (char === "'") {
+                text += this.parseQuoted(inPlural);
+                continue;
+            }
+
+            text += char;
+            this.index++;
+        }
+
+        if (text) parts.push(text);
+        return parts;
+    }
+
+    /**
+     * Parse apostrophe escaping ('' and '{literal}')
+     * @param {boolean} inPlural - Whether '#' is a syntax character
+     * @returns {string} Literal text
+     */
+    parseQuoted(inPlural) {
+        const next = this.message[this.index + 1];
+
+        if (next === "'") {
+            this.index += 2;
+            return "'";
+        }
+
+        if (next === '{' || next === '}' || (inPlural && next === '#')) {
+            const end = this.message.indexOf("'", this.index + 1);
+            const literal = end === -1 ? this.message.slice(this.index + 1) : this.message.slice(this.index + 1, end);
+            this.index = end === -1 ? this.message.length : end + 1;
+            return literal;
+        }
+
+        this.index++;
+        return "'";
+    }
+
+    /**
+     * Parse a {...} argument block
+     * @param {boolean} inPlural - Whether an enclosing plural gives '#' a value
+     * @returns {Object} Parsed argument part
+     */
+    parseArgument(inPlural) {
+        this.index++; // skip '{'
+        const name = this.readUntil(/[,}]/).trim();
+
+        if (this.message[this.index] === '}') {
+            this.index++;
+            return { type: 'argument', name };
+        }
+
+        this.index++; // skip ','
+        const format = this.readUntil(/[,}]/).trim();
+
+        if (format === 'plural' || format === 'selectordinal' || format === 'select') {
+            this.expect(',');
+            return this.parseOptions(name, format, inPlural);
+        }
+
+        let style = null;
+        if (this.message[this.index] === ',') {
+            this.index++;
+            style = this.readUntil(/}/).trim();
+        }
+        this.expect('}');
+
+        return { type: 'argument', name, format, style };
+    }
+
+    /**
+     * Parse plural/select options: key {message} key {message} ...
+     * @param {string} name - Argument name
+     * @param {string} type - plural, selectordinal or select
+     * @param {boolean} inPlural - Whether an enclosing plural gives '#' a value
+     * @returns {Object} Parsed option part
+     */
+    parseOptions(name, type, inPlural) {
+        const options = {};
+        let offset = 0;
+
+        this.skipWhitespace();
+        const offsetMatch = /^offset:\s*(\d+)/.exec(this.message.slice(this.index));
+        if (offsetMatch && type !== 'select') {
+            offset = Number(offsetMatch[1]);
+            this.index += offsetMatch[0].length;
+        }
+
+        while (this.index < this.message.length) {
+            this.skipWhitespace();
+            if (this.message[this.index] === '}') {
+                this.index++;
+                break;
+            }
+
+            const key = this.readUntil(/[\s{]/).trim();
+            this.skipWhitespace();
+            this.expect('{');
+            // select branches keep the '#' of an enclosing plural
+            options[key] = this.parseMessage(type !== 'select' || inPlural);
+            this.expect('}');
+        }
+
+        if (!options.other) {
+            throw new Error(`Missing "other" option for {${name}, ${type}}`);
+        }
+
+        return { type, name, offset, options };
+    }
+
+    readUntil(pattern) {
+        const start = this.index;
+        while (this.index < this.message.length && !pattern.test(this.message[this.index])) {
+            this.index++;
+        }
+        return this.message.slice(start, this.index);
+    }
+
+    skipWhitespace() {
+        while (this.index < this.message.length && /\s/.test(this.message[this.index])) {
+            this.index++;
+        }
+    }
+
+    expect(char) {
+        if (this.message[this.index] !== char) {
+            throw new Error(`Expected "${char}" at position ${this.index} in message: ${this.message}`);
+        }
+        this.index++;
+    }
+}
+
+export default MessageFormat;
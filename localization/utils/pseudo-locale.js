@@ -0,0 +1,146 @@
+/**
+ * Pseudo-Localization Utilities
+ * Generates pseudo-locale catalogs (en-XA, ar-XB) from English so layouts can be
+ * tested for text expansion, hard-coded strings and RTL before real copy exists
+ */
+
+import { MessageFormat } from './message-format.js';
+
+const ACCENTED = {
+    a: 'á', b: 'ƀ', c: 'ç', d: 'ð', e: 'é', f: 'ƒ', g: 'ĝ', h: 'ĥ', i: 'í', j: 'ĵ', k: 'ķ', l: 'ļ', m: 'ɱ',
+    n: 'ñ', o: 'ó', p: 'þ', q: 'ǫ', r: 'ŕ', s: 'š', t: 'ţ', u: 'ú', v: 'ṽ', w: 'ŵ', x: 'ẋ', y: 'ý', z: 'ž',
+    A: 'Å', B: 'Ɓ', C: 'Ç', D: 'Ð', E: 'É', F: 'Ƒ', G: 'Ĝ', H: 'Ĥ', I: 'Î', J: 'Ĵ', K: 'Ķ', L: 'Ļ', M: 'Ṁ',
+    N: 'Ñ', O: 'Ö', P: 'Þ', Q: 'Ǫ', R: 'Ŕ', S: 'Š', T: 'Ţ', U: 'Û', V: 'Ṽ', W: 'Ŵ', X: 'Ẋ', Y: 'Ý', Z: 'Ž'
+};
+
+// Right-to-left override / pop directional formatting, as in Android's ar-XB
+const RLO = '\u202E';
+const PDF = '\u202C';
+
+// HTML tags and entities inside message text pass through untouched
+const MARKUP = /(<[^>]+>|&[#\w]+;)/;
+
+/**
+ * Accent (and for ar-XB mirror) the letters of one literal text run
+ * @param {string} text - Literal text
+ * @param {boolean} mirrored - Wrap each text run in RLO/PDF
+ * @returns {string} Transformed text
+ */
+function transformText(text, mirrored) {
+    return text.split(MARKUP).map((segment, index) => {
+        // Odd indexes are markup matches from split()
+        if (index % 2 === 1) return segment;
+
+        const accented = segment.replace(/[A-Za-z]/g, char => ACCENTED[char] || char);
+        return mirrored && accented.trim() ? `${RLO}${accented}${PDF}` : accented;
+    }).join('');
+}
+
+/**
+ * Quote ICU syntax characters so literal text stays literal
+ * @param {string} text - Literal text
+ * @param {boolean} inPlural - Whether '#' is a syntax character here
+ * @returns {string} ICU source text
+ */
+function quoteLiteral(text, inPlural) {
+    return text
+        .replace(/'/g, "''")
+        .replace(inPlural ? /[{}#]+/g : /[{}]+/g, match => `'${match}'`);
+}
+
+/**
+ * Print compiled message parts back to ICU source, transforming only literal text
+ * @param {Array} parts - Parts from MessageFormat.compile()
+ * @param {boolean} mirrored - Wrap each text run in RLO/PDF
+ * @param {boolean} inPlural - Whether an enclosing plural gives '#' a value
+ * @returns {Object} { source, length } where length is the visible text length of the longest branches
+ */
+function printParts(parts, mirrored, inPlural) {
+    let length = 0;
+
+    const source = parts.map(part => {
+        if (typeof part === 'string') {
+            length += part.split(MARKUP).filter((segment, index) => index % 2 === 0).join('').length;
+            return quoteLiteral(transformText(part, mirrored), inPlural);
+        }
+
+        switch (part.type) {
+            case 'pound':
+                return '#';
+
+            case 'argument':
+                return `{${[part.name, part.format, part.style].filter(Boolean).join(', ')}}`;
+
+            default: {
+                // select branches keep the '#' of an enclosing plural
+                const branchInPlural = part.type !== 'select' || inPlural;
+                const offset = part.offset ? ` offset:${part.offset}` : '';
+                let longest = 0;
+
+                const options = Object.entries(part.options).map(([key, branch]) => {
+                    const printed = printParts(branch, mirrored, branchInPlural);
+                    longest = Math.max(longest, printed.length);
+                    return `${key} {${printed.source}}`;
+                });
+
+                length += longest;
+                return `{${part.name}, ${part.type},${offset} ${options.join(' ')}}`;
+            }
+        }
+    }).join('');
+
+    return { source, length };
+}
+
+export class PseudoLocale {
+    /**
+     * Pseudo-localize one string. ICU messages are transformed through their compiled
+     * parts: literal text (plural and select branches included) is accented, while
+     * arguments, keywords and option keys keep their syntax
+     * @param {string} text - English source text
+     * @param {Object} options - { expansion, mirrored }
+     * @param {number} options.expansion - Extra length as a fraction (0.4 = +40%)
+     * @param {boolean} options.mirrored - Wrap each text run in RLO/PDF (ar-XB)
+     * @returns {string} Pseudo-localized text, e.g. "[Ĥéļļó ŵóŕļð ~~~~]"
+     */
+    static transform(text, { expansion = 0.4, mirrored = false } = {}) {
+        if (typeof text !== 'string' || text.trim() === '') return text;
+
+        let parts = [text];
+        if (MessageFormat.isMessage(text)) {
+            try {
+                parts = MessageFormat.compile(text);
+            } catch (error) {
+                // Malformed messages are transformed as plain text
+            }
+        }
+
+        const { source, length } = printParts(parts, mirrored, false);
+        const padding = '~'.repeat(Math.ceil(length * expansion));
+        return `[${source}${padding ? ` ${padding}` : ''}]`;
+    }
+
+    /**
+     * Pseudo-localize every string in a catalog
+     * @param {Object|Array|string} catalog - Source catalog (nested or flat)
+     * @param {Object} options - Options passed to transform()
+     * @returns {Object|Array|string} Catalog of the same shape
+     */
+    static generateCatalog(catalog, options = {}) {
+        if (typeof catalog === 'string') {
+            return this.transform(catalog, options);
+        }
+
+        if (Array.isArray(catalog)) {
+            return catalog.map(value => this.generateCatalog(value, options));
+        }
+
+        if (catalog && typeof catalog === 'object') {
+            return Object.fromEntries(Object.entries(catalog).map(([key, value]) => [key, this.generateCatalog(value, options)]));
+        }
+
+        return catalog;
+    }
+}
+
+export default PseudoLocale;
@@ -0,0 +1,118 @@
+/**
+ * SEO Head Utilities for Localization
+ * Builds the localized <head> (title, description, Open Graph locale,
+ * hreflang alternates and canonical URL) as plain data, then applies it
+ * to a document
+ */
+
+// Marks head elements created by the localization system
+const MANAGED_ATTRIBUTE = 'data-i18n-managed';
+
+export class SEOHead {
+    /**
+     * Convert a BCP 47 locale to Open Graph form
+     * @param {string} locale - Locale such as "ar-SA"
+     * @returns {string} Open Graph locale such as "ar_SA"
+     */
+    static toOpenGraphLocale(locale) {
+        return String(locale).replace('-', '_');
+    }
+
+    /**
+     * Build the localized head description
+     * @param {Object} options - Head options
+     * @param {string} options.language - Current language code
+     * @param {Array} options.languages - Active language codes
+     * @param {string} options.defaultLanguage - Language served as x-default
+     * @param {Function} options.getLocale - Language code → locale ("ar" → "ar-SA")
+     * @param {Function} options.getUrl - Language code → absolute page URL
+     * @param {string|null} options.title - Translated page title
+     * @param {string|null} options.description - Translated meta description
+     * @param {Object} options.settings - LOCALIZATION_SETTINGS.seo
+     * @returns {Object} { title, meta: [{ name|property, content }], links: [{ rel, href, hreflang }] }
+     */
+    static build({ language, languages, defaultLanguage, getLocale, getUrl, title = null, description = null, settings = {} }) {
+        const meta = [];
+        const links = [];
+
+        if (description) {
+            meta.push({ name: 'description', content: description });
+            meta.push({ property: 'og:description', content: description });
+        }
+
+        if (title) {
+            meta.push({ property: 'og:title', content: title });
+        }
+
+        if (settings.metaLanguageTags) {
+            meta.push({ name: 'language', content: language });
+            meta.push({ property: 'og:locale', content: this.toOpenGraphLocale(getLocale(language)) });
+        }
+
+        if (settings.alternateLinks) {
+            languages
+                .filter(code => code !== language)
+                .forEach(code => meta.push({ property: 'og:locale:alternate', content: this.toOpenGraphLocale(getLocale(code)) }));
+        }
+
+        if (settings.hreflangEnabled) {
+            languages.forEach(code => links.push({ rel: 'alternate', hreflang: code, href: getUrl(code) }));
+            links.push({ rel: 'alternate', hreflang: 'x-default', href: getUrl(defaultLanguage) });
+        }
+
+        if (settings.canonicalUrls) {
+            links.push({ rel: 'canonical', href: getUrl(language) });
+            meta.push({ property: 'og:url', content: getUrl(language) });
+        }
+
+        return { title, meta, links };
+    }
+
+    /**
+     * Apply a head description to a document
+     * Single-valued tags are updated in place; repeated ones (hreflang links,
+     * og:locale:alternate) are replaced as a group
+     * @param {Document} doc - Target document
+     * @param {Object} head - Result of build()
+     */
+    static apply(doc, head) {
+        if (head.title) {
+            doc.title = head.title;
+        }
+
+        const repeated = new Set(['og:locale:alternate']);
+        doc.head.querySelectorAll('meta[property="og:locale:alternate"]').forEach(element => element.remove());
+        if (head.links.some(link => link.hreflang)) {
+            doc.head.querySelectorAll('link[rel="alternate"][hreflang]').forEach(element => element.remove());
+        }
+
+        head.meta.forEach(({ name, property, content }) => {
+            const attribute = name ? 'name' : 'property';
+            const value = name || property;
+            let element = repeated.has(value) ? null : doc.head.querySelector(`meta[${attribute}="${value}"]`);
+
+            if (!element) {
+                element = doc.createElement('meta');
+                element.setAttribute(attribute, value);
+                element.setAttribute(MANAGED_ATTRIBUTE, '');
+                doc.head.appendChild(element);
+            }
+            element.setAttribute('content', content);
+        });
+
+        head.links.forEach(({ rel, href, hreflang }) => {
+            let element = hreflang ? null : doc.head.querySelector(`link[rel="${rel}"]`);
+
+            if (!element) {
+                element = doc.createElement('link');
+                element.setAttribute('rel', rel);
+                if (hreflang) element.setAttribute('hreflang', hreflang);
+                element.setAttribute(MANAGED_ATTRIBUTE, '');
+                doc.head.appendChild(element);
+            }
+            element.setAttribute('href', href);
+        });
+    }
+}
+
+export default SEOHead;
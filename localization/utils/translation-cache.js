@@ -0,0 +1,354 @@
+/**
+ * Persistent Translation Cache for Localization System
+ * Stores catalog responses in IndexedDB (localStorage fallback) with
+ * version/ETag metadata and LRU eviction bounded by a byte budget
+ */
+
+const DB_VERSION = 2;
+
+/**
+ * IndexedDB backend; payloads are gzip-compressed when CompressionStream exists.
+ * { key, size, lastAccess } is mirrored in a metadata store so eviction and
+ * access tracking never read the payloads
+ */
+class IndexedDBBackend {
+    constructor(dbName, storeName, compression) {
+        this.dbName = dbName;
+        this.storeName = storeName;
+        this.metaStoreName = `${storeName}-meta`;
+        this.compression = compression && typeof CompressionStream !== 'undefined';
+        this.dbPromise = null;
+    }
+
+    static isAvailable() {
+        try {
+            return typeof indexedDB !== 'undefined' && indexedDB !== null;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.dbName, DB_VERSION);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    if (!db.objectStoreNames.contains(this.storeName)) {
+                        db.createObjectStore(this.storeName, { keyPath: 'key' });
+                    } else {
+                        // Entries from version 1 have no metadata record; drop them
+                        request.transaction.objectStore(this.storeName).clear();
+                    }
+                    if (!db.objectStoreNames.contains(this.metaStoreName)) {
+                        db.createObjectStore(this.metaStoreName, { keyPath: 'key' });
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.dbPromise;
+    }
+
+    async run(mode, operation) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction([this.storeName, this.metaStoreName], mode);
+            const request = operation(transaction.objectStore(this.storeName), transaction.objectStore(this.metaStoreName));
+            transaction.oncomplete = () => resolve(request ? request.result : undefined);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    async get(key) {
+        const record = await this.run('readonly', store => store.get(key));
+        if (!record) return null;
+
+        const data = record.compressed ? JSON.parse(await this.decompress(record.payload)) : record.payload;
+        return { ...record, payload: undefined, data };
+    }
+
+    async set(entry) {
+        const json = JSON.stringify(entry.data);
+        const record = { ...entry, data: undefined, compressed: this.compression };
+        record.payload = this.compression ? await this.compress(json) : entry.data;
+        await this.run('readwrite', (store, metaStore) => {
+            store.put(record);
+            metaStore.put({ key: entry.key, size: entry.size, lastAccess: entry.lastAccess });
+            return null;
+        });
+    }
+
+    async update(key, fields) {
+        // Access tracking only touches the metadata store; other fields live with the payload
+        const { lastAccess, ...recordFields } = fields;
+        const merge = (store, changes) => {
+            const request = store.get(key);
+            request.onsuccess = () => {
+                if (request.result) {
+                    store.put({ ...request.result, ...changes });
+                }
+            };
+        };
+
+        await this.run('readwrite', (store, metaStore) => {
+            if (lastAccess !== undefined) {
+                merge(metaStore, { lastAccess });
+            }
+            if (Object.keys(recordFields).length > 0) {
+                merge(store, recordFields);
+            }
+            return null;
+        });
+    }
+
+    async delete(key) {
+        await this.run('readwrite', (store, metaStore) => {
+            store.delete(key);
+            metaStore.delete(key);
+            return null;
+        });
+    }
+
+    async clear() {
+        await this.run('readwrite', (store, metaStore) => {
+            store.clear();
+            metaStore.clear();
+            return null;
+        });
+    }
+
+    async list() {
+        const records = await this.run('readonly', (store, metaStore) => metaStore.getAll());
+        return records || [];
+    }
+
+    async compress(text) {
+        const stream = new Blob([text]).stream().pipeThrough(new CompressionStream('gzip'));
+        return new Response(stream).arrayBuffer();
+    }
+
+    async decompress(buffer) {
+        const stream = new Blob([buffer]).stream().pipeThrough(new DecompressionStream('gzip'));
+        return new Response(stream).text();
+    }
+}
+
+/**
+ * localStorage backend used when IndexedDB is unavailable (private mode, old browsers)
+ */
+class LocalStorageBackend {
+    constructor(prefix) {
+        this.prefix = prefix;
+    }
+
+    static isAvailable() {
+        try {
+            const probe = '__marln_cache_probe__';
+            localStorage.setItem(probe, probe);
+            localStorage.removeItem(probe);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    async get(key) {
+        const raw = localStorage.getItem(this.prefix + key);
+        return raw ? JSON.parse(raw) : null;
+    }
+
+    async set(entry) {
+        localStorage.setItem(this.prefix + entry.key, JSON.stringify(entry));
+    }
+
+    async update(key, fields) {
+        const entry = await this.get(key);
+        if (entry) {
+            await this.set({ ...entry, ...fields });
+        }
+    }
+
+    async delete(key) {
+        localStorage.removeItem(this.prefix + key);
+    }
+
+    async clear() {
+        (await this.list()).forEach(({ key }) => localStorage.removeItem(this.prefix + key));
+    }
+
+    async list() {
+        const entries = [];
+        for (let i = 0; i < localStorage.length; i++) {
+            const storageKey = localStorage.key(i);
+            if (storageKey && storageKey.startsWith(this.prefix)) {
+                try {
+                    const { key, size, lastAccess } = JSON.parse(localStorage.getItem(storageKey));
+                    entries.push({ key, size, lastAccess });
+                } catch (error) {
+                    // Ignore unreadable entries
+                }
+            }
+        }
+        return entries;
+    }
+}
+
+export class TranslationCache {
+    /**
+     * @param {Object} options - { dbName, storeName, storageKeyPrefix, maxSize, compression }
+     */
+    constructor({ dbName = 'marln-localization', storeName = 'catalogs', storageKeyPrefix = 'marln-i18n-cache:', maxSize = 10 * 1024 * 1024, compression = false } = {}) {
+        this.maxSize = maxSize;
+        this.storageKeyPrefix = storageKeyPrefix;
+
+        if (IndexedDBBackend.isAvailable()) {
+            this.backend = new IndexedDBBackend(dbName, storeName, compression);
+        } else if (LocalStorageBackend.isAvailable()) {
+            this.backend = new LocalStorageBackend(storageKeyPrefix);
+        } else {
+            this.backend = null;
+        }
+    }
+
+    /**
+     * Whether a persistent backend is available
+     * @returns {boolean}
+     */
+    isAvailable() {
+        return this.backend !== null;
+    }
+
+    /**
+     * Current backend, switching to localStorage when IndexedDB exists but
+     * cannot be opened (Firefox private windows, blocked storage)
+     * @returns {Promise<Object|null>} Backend or null
+     */
+    async getBackend() {
+        if (this.backend instanceof IndexedDBBackend) {
+            try {
+                await this.backend.open();
+            } catch (error) {
+                console.warn('⚠️ IndexedDB unavailable; caching catalogs in localStorage:', error);
+                this.backend = LocalStorageBackend.isAvailable() ? new LocalStorageBackend(this.storageKeyPrefix) : null;
+            }
+        }
+        return this.backend;
+    }
+
+    /**
+     * Read an entry and mark it as recently used
+     * @param {string} key - Cache key (catalog URL)
+     * @returns {Promise<Object|null>} { key, data, version, etag, storedAt, lastAccess, size } or null
+     */
+    async get(key) {
+        const backend = await this.getBackend();
+        if (!backend) return null;
+
+        try {
+            const entry = await backend.get(key);
+            if (!entry) return null;
+
+            const lastAccess = Date.now();
+            backend.update(key, { lastAccess }).catch(() => {});
+            return { ...entry, lastAccess };
+
+        } catch (error) {
+            console.warn(`⚠️ Failed to read cached catalog ${key}:`, error);
+            return null;
+        }
+    }
+
+    /**
+     * Store an entry, then evict least-recently-used entries beyond maxSize
+     * @param {string} key - Cache key (catalog URL)
+     * @param {Object} entry - { data, version, etag }
+     */
+    async set(key, { data, version = null, etag = null }) {
+        const backend = await this.getBackend();
+        if (!backend) return;
+
+        const now = Date.now();
+        const size = JSON.stringify(data).length * 2; // UTF-16 estimate
+
+        if (size > this.maxSize) {
+            console.warn(`⚠️ Catalog ${key} (${size} bytes) exceeds cache maxSize; not cached`);
+            return;
+        }
+
+        try {
+            await backend.set({ key, data, version, etag, size, storedAt: now, lastAccess: now });
+            await this.evict(key);
+        } catch (error) {
+            console.warn(`⚠️ Failed to cache catalog ${key}:`, error);
+        }
+    }
+
+    /**
+     * Update metadata after a 304 revalidation without rewriting the payload
+     * (localStorage keeps both in one item, so there it is rewritten as is)
+     * @param {string} key - Cache key
+     * @param {Object} entry - Existing entry
+     * @param {Object} changes - { version, etag }
+     */
+    async refresh(key, entry, changes) {
+        const backend = await this.getBackend();
+        if (!backend) return;
+
+        try {
+            await backend.update(key, {
+                version: changes.version ?? entry.version,
+                etag: changes.etag || entry.etag,
+                storedAt: Date.now()
+            });
+        } catch (error) {
+            console.warn(`⚠️ Failed to refresh cached catalog ${key}:`, error);
+        }
+    }
+
+    /**
+     * Evict least-recently-used entries until the total size fits maxSize
+     * @param {string} keep - Key that must survive eviction (just written)
+     */
+    async evict(keep = null) {
+        const backend = await this.getBackend();
+        const entries = await backend.list();
+        let total = entries.reduce((sum, entry) => sum + (entry.size || 0), 0);
+
+        const candidates = entries
+            .filter(entry => entry.key !== keep)
+            .sort((a, b) => (a.lastAccess || 0) - (b.lastAccess || 0));
+
+        for (const entry of candidates) {
+            if (total <= this.maxSize) break;
+            await backend.delete(entry.key);
+            total -= entry.size || 0;
+            console.log(`🧹 Evicted cached catalog: ${entry.key}`);
+        }
+    }
+
+    /**
+     * Remove one entry
+     * @param {string} key - Cache key
+     */
+    async delete(key) {
+        const backend = await this.getBackend();
+        if (backend) {
+            await backend.delete(key);
+        }
+    }
+
+    /**
+     * Remove all entries
+     */
+    async clear() {
+        const backend = await this.getBackend();
+        if (backend) {
+            await backend.clear();
+        }
+    }
+}
+
+export default TranslationCache;
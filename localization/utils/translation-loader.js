@@ -0,0 +1,161 @@
+/**
+ * Translation Loader for Localization System
+ * Fetches catalog JSON with AbortController timeouts, exponential-backoff
+ * retries bounded by an optional deadline, cancellation and ETag revalidation
+ */
+
+/**
+ * Error raised when a catalog cannot be loaded
+ * reason: 'timeout' | 'network' | 'http' | 'parse' | 'aborted' | 'not-found' | 'unknown'
+ */
+export class TranslationLoadError extends Error {
+    constructor(message, { reason, url = null, status = null, attempts = 1, cause = null } = {}) {
+        super(message);
+        this.name = 'TranslationLoadError';
+        this.reason = reason;
+        this.url = url;
+        this.status = status;
+        this.attempts = attempts;
+        this.cause = cause;
+    }
+}
+
+export class TranslationLoader {
+    /**
+     * Fetch and parse JSON, retrying transient failures
+     * @param {string} url - Catalog URL
+     * @param {Object} options - { timeout, retries, retryDelay, signal }
+     * @returns {Promise<Object>} Parsed JSON
+     */
+    static async fetchJSON(url, options = {}) {
+        const { data } = await this.fetchCatalog(url, options);
+        return data;
+    }
+
+    /**
+     * Fetch a catalog with optional ETag revalidation
+     * @param {string} url - Catalog URL
+     * @param {Object} options - { timeout, retries, retryDelay, signal, etag, cache, deadline }
+     *   deadline is an epoch timestamp shared by related requests: attempts are cut
+     *   short and no retry starts once it has passed
+     * @returns {Promise<Object>} { status, data, etag } — status 304 means the cached copy is current
+     */
+    static async fetchCatalog(url, { timeout = 5000, retries = 0, retryDelay = 300, signal = null, etag = null, cache = 'default', deadline = null } = {}) {
+        const requestInit = { cache, headers: etag ? { 'If-None-Match': etag } : {} };
+
+        for (let attempt = 0; ; attempt++) {
+            const remaining = deadline === null ? timeout : Math.min(timeout, deadline - Date.now());
+
+            if (remaining <= 0) {
+                throw new TranslationLoadError(`Load budget exhausted before ${url}`, { reason: 'timeout', url, attempts: attempt });
+            }
+
+            try {
+                return await this.attemptFetch(url, remaining, signal, requestInit);
+            } catch (error) {
+                error.attempts = attempt + 1;
+
+                // 300ms, 600ms, 1200ms, ...
+                const wait = retryDelay * Math.pow(2, attempt);
+
+                if (attempt >= retries || !this.isRetryable(error) || (deadline !== null && Date.now() + wait >= deadline)) {
+                    throw error;
+                }
+
+                await this.delay(wait, signal);
+            }
+        }
+    }
+
+    /**
+     * Single fetch attempt bounded by a timeout and an optional caller signal
+     * @param {string} url - Catalog URL
+     * @param {number} timeout - Timeout in milliseconds
+     * @param {AbortSignal|null} signal - Caller cancellation signal
+     * @param {Object} requestInit - Extra fetch options (headers, cache)
+     * @returns {Promise<Object>} { status, data, etag }
+     */
+    static async attemptFetch(url, timeout, signal, requestInit = {}) {
+        if (signal && signal.aborted) {
+            throw new TranslationLoadError(`Request aborted: ${url}`, { reason: 'aborted', url });
+        }
+
+        const controller = new AbortController();
+        let timedOut = false;
+        const timer = setTimeout(() => {
+            timedOut = true;
+            controller.abort();
+        }, timeout);
+        const onAbort = () => controller.abort();
+        if (signal) signal.addEventListener('abort', onAbort);
+
+        try {
+            const response = await fetch(url, { ...requestInit, signal: controller.signal });
+
+            if (response.status === 304) {
+                return { status: 304, data: null, etag: response.headers.get('ETag') };
+            }
+
+            if (!response.ok) {
+                throw new TranslationLoadError(`HTTP ${response.status} for ${url}`, { reason: 'http', url, status: response.status });
+            }
+
+            try {
+                return { status: response.status, data: await response.json(), etag: response.headers.get('ETag') };
+            } catch (error) {
+                if (error.name === 'AbortError') throw error;
+                throw new TranslationLoadError(`Invalid JSON in ${url}`, { reason: 'parse', url, cause: error });
+            }
+
+        } catch (error) {
+            if (error instanceof TranslationLoadError) throw error;
+
+            if (error.name === 'AbortError') {
+                throw timedOut
+                    ? new TranslationLoadError(`Timed out after ${timeout}ms: ${url}`, { reason: 'timeout', url, cause: error })
+                    : new TranslationLoadError(`Request aborted: ${url}`, { reason: 'aborted', url, cause: error });
+            }
+
+            throw new TranslationLoadError(`Network error for ${url}`, { reason: 'network', url, cause: error });
+
+        } finally {
+            clearTimeout(timer);
+            if (signal) signal.removeEventListener('abort', onAbort);
+        }
+    }
+
+    /**
+     * Timeouts, network errors and 5xx/408/429 responses are worth retrying
+     * @param {TranslationLoadError} error - Failure from attemptFetch
+     * @returns {boolean} Whether to retry
+     */
+    static isRetryable(error) {
+        if (error.reason === 'timeout' || error.reason === 'network') return true;
+        if (error.reason === 'http') {
+            return error.status >= 500 || error.status === 408 || error.status === 429;
+        }
+        return false;
+    }
+
+    /**
+     * Wait between retries, resolving early with an abort error when cancelled
+     * @param {number} ms - Delay in milliseconds
+     * @param {AbortSignal|null} signal - Caller cancellation signal
+     * @returns {Promise<void>}
+     */
+    static delay(ms, signal = null) {
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                if (signal) signal.removeEventListener('abort', onAbort);
+                resolve();
+            }, ms);
+            const onAbort = () => {
+                clearTimeout(timer);
+                reject(new TranslationLoadError('Request aborted during retry delay', { reason: 'aborted' }));
+            };
+            if (signal) signal.addEventListener('abort', onAbort, { once: true });
+        });
+    }
+}
+
+export default TranslationLoader;
@@ -0,0 +1,153 @@
+/**
+ * Translation Report for Localization System
+ * Collects missing keys, fallback hits and partial matches per page and language
+ */
+
+const CSV_COLUMNS = ['type', 'page', 'language', 'key', 'resolvedLanguage', 'partialMatches', 'count', 'firstSeen', 'lastSeen'];
+
+export class TranslationReport {
+    constructor() {
+        this.entries = new Map();
+    }
+
+    /**
+     * Current page identifier
+     * @returns {string} Page path
+     */
+    getPage() {
+        return typeof window !== 'undefined' ? window.location.pathname : '';
+    }
+
+    /**
+     * Add or update an entry
+     * @param {Object} entry - { type, key, language, ...details }
+     * @returns {boolean} True when the entry is new
+     */
+    record(entry) {
+        const page = entry.page || this.getPage();
+        const id = `${entry.type}|${page}|${entry.language}|${entry.key}`;
+        const now = new Date().toISOString();
+        const existing = this.entries.get(id);
+
+        if (existing) {
+            existing.count++;
+            existing.lastSeen = now;
+            return false;
+        }
+
+        this.entries.set(id, {
+            ...entry,
+            page,
+            count: 1,
+            firstSeen: now,
+            lastSeen: now
+        });
+        return true;
+    }
+
+    /**
+     * Record a key with no translation in any fallback language
+     * @param {string} key - Translation key
+     * @param {string} language - Requested language
+     * @param {Array} partialMatches - Shorter keys that do resolve
+     * @returns {boolean} True when first seen
+     */
+    recordMissing(key, language, partialMatches = []) {
+        return this.record({ type: 'missing', key, language, partialMatches });
+    }
+
+    /**
+     * Record a key served from another language
+     * @param {string} key - Translation key
+     * @param {string} language - Requested language
+     * @param {string} resolvedLanguage - Language that supplied the value
+     * @returns {boolean} True when first seen
+     */
+    recordFallback(key, language, resolvedLanguage) {
+        return this.record({ type: 'fallback', key, language, resolvedLanguage });
+    }
+
+    /**
+     * Record partial matches for a key (prefixes that resolve)
+     * @param {string} key - Translation key
+     * @param {string} language - Requested language
+     * @param {Array} partialMatches - Array of matching prefix keys
+     * @returns {boolean} True when first seen
+     */
+    recordPartialMatch(key, language, partialMatches) {
+        return this.record({ type: 'partial', key, language, partialMatches });
+    }
+
+    /**
+     * Get entries, optionally filtered
+     * @param {Object} filter - { type, language, page }
+     * @returns {Array} Matching entries
+     */
+    getEntries(filter = {}) {
+        return Array.from(this.entries.values()).filter(entry => (
+            (!filter.type || entry.type === filter.type) &&
+            (!filter.language || entry.language === filter.language) &&
+            (!filter.page || entry.page === filter.page)
+        ));
+    }
+
+    /**
+     * Build the report object grouped by page and language
+     * @param {Object} filter - { type, language, page }
+     * @returns {Object} Report with summary and grouped entries
+     */
+    generateReport(filter = {}) {
+        const entries = this.getEntries(filter);
+        const pages = {};
+
+        entries.forEach(entry => {
+            const page = pages[entry.page] || (pages[entry.page] = {});
+            const language = page[entry.language] || (page[entry.language] = { missing: [], fallback: [], partial: [] });
+            language[entry.type].push(entry);
+        });
+
+        return {
+            generatedAt: new Date().toISOString(),
+            summary: {
+                missing: entries.filter(entry => entry.type === 'missing').length,
+                fallback: entries.filter(entry => entry.type === 'fallback').length,
+                partial: entries.filter(entry => entry.type === 'partial').length
+            },
+            pages,
+            entries
+        };
+    }
+
+    /**
+     * Export report to JSON
+     * @param {Object} filter - { type, language, page }
+     * @returns {string} JSON string of the report
+     */
+    exportToJSON(filter = {}) {
+        return JSON.stringify(this.generateReport(filter), null, 2);
+    }
+
+    /**
+     * Export entries to CSV for translators
+     * @param {Object} filter - { type, language, page }
+     * @returns {string} CSV text with a header row
+     */
+    exportToCSV(filter = {}) {
+        const escape = (value) => {
+            const text = Array.isArray(value) ? value.join(' | ') : (value === undefined || value === null ? '' : String(value));
+            return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+
+        const rows = this.getEntries(filter).map(entry => CSV_COLUMNS.map(column => escape(entry[column])).join(','));
+        return [CSV_COLUMNS.join(','), ...rows].join('\n');
+    }
+
+    /**
+     * Clear all entries
+     */
+    reset() {
+        this.entries.clear();
+    }
+}
+
+export default TranslationReport;